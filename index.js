@@ -4,11 +4,184 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const swaggerJsdoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
+const jwt = require("jsonwebtoken");
+const sanitizeHtml = require("sanitize-html");
+const multer = require("multer");
+const sharp = require("sharp");
+const path = require("path");
+const fs = require("fs/promises");
+const crypto = require("crypto");
+const http = require("http");
+const net = require("net");
+const dns = require("dns/promises");
+const Ajv = require("ajv");
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+const { EventEmitter } = require("events");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { parse: parseCsv } = require("csv-parse/sync");
+const { stringify: stringifyCsv } = require("csv-stringify");
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
 require("dotenv").config();
 
 const app = express();
 
+// Behind a load balancer req.ip is only the client's address when Express
+// trusts the proxy. TRUST_PROXY is a hop count, true/false or a list of
+// proxy addresses and subnets, as accepted by Express.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(TRUST_PROXY)
+      ? Number(TRUST_PROXY)
+      : ["true", "false"].includes(TRUST_PROXY)
+      ? TRUST_PROXY === "true"
+      : TRUST_PROXY
+  );
+}
+
+// ERRORS
+
+// Every error response has the shape
+//   { error: { code, message, details, requestId } }
+// Routes throw these and errorHandler turns them into the response.
+class HttpError extends Error {
+  constructor(status, message, details, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code =
+      code || http.STATUS_CODES[status].toUpperCase().replace(/\W+/g, "_");
+    this.details = details;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message = "Bad request", details) {
+    super(400, message, details);
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = "Authentication required", details) {
+    super(401, message, details);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = "Forbidden", details) {
+    super(403, message, details);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = "Not found", details) {
+    super(404, message, details);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = "Conflict", details) {
+    super(409, message, details);
+  }
+}
+
+class ValidationError extends HttpError {
+  constructor(message = "Validation failed", details) {
+    super(422, message, details, "VALIDATION_FAILED");
+  }
+}
+
+class BadGatewayError extends HttpError {
+  constructor(message = "Bad gateway", details) {
+    super(502, message, details);
+  }
+}
+
+class ServiceUnavailableError extends HttpError {
+  constructor(message = "Service unavailable", details) {
+    super(503, message, details);
+  }
+}
+
+// Express 4 does not catch rejected promises, forward them to errorHandler
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+// Maps Mongoose and body parser errors to HttpErrors, anything else is a 500
+const toHttpError = (err) => {
+  if (err instanceof HttpError) return err;
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new BadRequestError(`Invalid value for '${err.path}'`, [
+      { field: err.path, message: `must be a valid ${err.kind}` },
+    ]);
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      "Validation failed",
+      Object.values(err.errors).map(({ path, message }) => ({
+        in: "body",
+        field: path,
+        message,
+      }))
+    );
+  }
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || {});
+    return new ConflictError(
+      `A document with the same ${fields.join(", ") || "key"} already exists`,
+      fields.map((field) => ({ field, message: "must be unique" }))
+    );
+  }
+  // body-parser errors, e.g. malformed JSON or a body that is too large
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new HttpError(err.status, err.message);
+  }
+  return null;
+};
+
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const error = toHttpError(err);
+  if (!error) {
+    console.error(`[${req.id}]`, err.stack);
+  }
+
+  const { status, code, message, details } =
+    error || new HttpError(500, "Internal server error");
+  res.status(status).json({
+    error: { code, message, details, requestId: req.id },
+  });
+};
+
+// Requests keep the id a proxy assigned them, otherwise get a new one. It is
+// echoed back in X-Request-Id and in every error response.
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && /^[\w-]{1,128}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+});
+
 app.use(cors());
+
+// Bulk imports carry many rows, every other body stays small
+const BULK_BODY_LIMIT = process.env.BULK_BODY_LIMIT || "5mb";
+app.use(
+  "/api/bulk",
+  express.json({ limit: BULK_BODY_LIMIT }),
+  express.text({ type: "text/csv", limit: BULK_BODY_LIMIT })
+);
 app.use(express.json());
 
 const swaggerOptions = {
@@ -17,97 +190,1042 @@ const swaggerOptions = {
     info: {
       title: "Expert Image API",
       version: "1.0.0",
-      description: "API documentation for the Expert Image service",
+      description:
+        "API documentation for the Expert Image service. Every request is served for one tenant (brand), picked by the X-Tenant-Id header or else the host name; other hosts serve the default tenant. Data of other tenants is never visible.",
     },
     servers: [
       {
-        url: "https://poster.copartner.in/api",
+        // Relative by default so the docs of every tenant host call that host
+        url: process.env.API_BASE_URL || "/api",
       },
     ],
+    components: {
+      parameters: {
+        Page: {
+          in: "query",
+          name: "page",
+          schema: { type: "integer", minimum: 1, default: 1 },
+          description: "Page number for offset paging",
+        },
+        Limit: {
+          in: "query",
+          name: "limit",
+          schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+          description: "Page size",
+        },
+        Cursor: {
+          in: "query",
+          name: "cursor",
+          schema: { type: "string" },
+          description:
+            "Switches to cursor paging. Pass an empty value for the first page, then the nextCursor of the previous response.",
+        },
+        Sort: {
+          in: "query",
+          name: "sort",
+          schema: { type: "string", default: "-createdAt" },
+          description:
+            "Comma separated sort fields, prefix a field with '-' for descending order",
+        },
+        Fields: {
+          in: "query",
+          name: "fields",
+          schema: { type: "string" },
+          description: "Comma separated list of fields to return",
+        },
+        CreatedAtRange: {
+          in: "query",
+          name: "createdAt",
+          style: "deepObject",
+          explode: true,
+          schema: {
+            type: "object",
+            properties: {
+              gt: { type: "string", format: "date-time" },
+              gte: { type: "string", format: "date-time" },
+              lt: { type: "string", format: "date-time" },
+              lte: { type: "string", format: "date-time" },
+            },
+          },
+          description: "Range filter, e.g. createdAt[gte]=2024-01-01",
+        },
+        ImageSize: {
+          in: "query",
+          name: "size",
+          schema: { type: "string", enum: ["thumbnail", "medium", "full"] },
+          description:
+            "Return the imageurl of this generated variant (200px, 800px or the original size). The original URL is returned until the variants are ready.",
+        },
+        ImageFormat: {
+          in: "query",
+          name: "format",
+          schema: { type: "string", enum: ["jpeg", "webp", "avif"] },
+          description:
+            "Format of the variant picked with size, jpeg by default. Implies size=full when size is not given.",
+        },
+      },
+      schemas: {
+        ObjectId: {
+          type: "string",
+          pattern: "^[0-9a-fA-F]{24}$",
+          description: "24 character hex MongoDB ObjectId",
+        },
+        // The enums are replaced with the content type registry on startup
+        // and after every change, see GET /content-types
+        ImageType: {
+          type: "string",
+          enum: ["blur", "marketing", "premium"],
+          description: "Type of an RA image, one of the registered image types",
+        },
+        PosterType: {
+          type: "integer",
+          enum: [1, 2, 3],
+          description: "Layout of a poster, one of the registered poster types",
+        },
+        BannerType: {
+          type: "string",
+          enum: ["home", "webinar", "course", "premium", "website"],
+          description:
+            "Placement of a banner, one of the registered banner types",
+        },
+        Error: {
+          type: "object",
+          description:
+            "Envelope of every error response. Invalid path or query parameters answer 400 and an invalid body 422, with one details entry per invalid field.",
+          properties: {
+            error: {
+              type: "object",
+              properties: {
+                code: { type: "string", example: "NOT_FOUND" },
+                message: { type: "string" },
+                details: {
+                  description:
+                    "Field errors as a list of { in, field, message }, or extra data about the error",
+                },
+                requestId: {
+                  type: "string",
+                  description: "Also sent in the X-Request-Id header",
+                },
+              },
+            },
+          },
+        },
+        Pagination: {
+          type: "object",
+          description:
+            "Offset paging returns page, total and totalPages; cursor paging returns nextCursor",
+          properties: {
+            page: { type: "integer" },
+            limit: { type: "integer" },
+            total: { type: "integer" },
+            totalPages: { type: "integer" },
+            hasNextPage: { type: "boolean" },
+            nextCursor: { type: "string", nullable: true },
+          },
+        },
+      },
+      securitySchemes: {
+        adminAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description:
+            "JWT with role 'admin'. Full access to all content of its tenant. Tokens carry the tenant in a 'tenant' claim, tokens without one belong to the default tenant.",
+        },
+        expertAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description:
+            "JWT with role 'expert' (RA). Limited to documents whose expertId/raid matches the token subject.",
+        },
+        copartnerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description:
+            "JWT with role 'copartner'. Limited to links whose copartnerId matches the token subject.",
+        },
+      },
+    },
   },
   apis: ["./index.js"], // You can also use './routes/*.js' if you have separate route files
 };
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+// PATCH bodies take any writable field of the full schema, so they are
+// derived from it as <Name>Update instead of being listed twice
+["RADashboardImage", "AdminPoster"].forEach((name) => {
+  const { required, properties, ...schema } =
+    swaggerSpec.components.schemas[name];
+  swaggerSpec.components.schemas[`${name}Update`] = {
+    ...schema,
+    minProperties: 1,
+    properties: Object.fromEntries(
+      Object.entries(properties).filter(([, property]) => !property.readOnly)
+    ),
+  };
+});
+
+// Rendered per request, the content type enums change at runtime
+app.use(
+  "/api-docs",
+  (req, res, next) => {
+    req.swaggerDoc = swaggerSpec;
+    next();
+  },
+  swaggerUi.serveFiles(),
+  swaggerUi.setup()
+);
 
 const PORT = 3069;
 const mongoDBConnectionString = process.env.MONGODB_URI;
+const JWT_SECRET = process.env.JWT_SECRET;
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "uploads");
 
-mongoose
-  .connect(mongoDBConnectionString, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-  })
-  .then(() => {
-    app.listen(PORT, () => {
-      console.log(`app is listening on PORT ${PORT}`);
+// Serves files written by the local storage adapter
+app.use("/uploads", express.static(UPLOAD_DIR));
+
+// Connects, migrates and serves. Tests require the app without starting it.
+const start = () =>
+  mongoose
+    .connect(mongoDBConnectionString, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    })
+    .then(() => detectReplicaSet())
+    .then(() => migrateContentTypes())
+    .then(() => migrateTenants())
+    .then(() => migrateCopartnerLinks())
+    .then(() => migratePublishStatus())
+    .then(() => migrateDisplayOrder())
+    .then(() => migrateSearchIndexes())
+    .then(() => {
+      scheduleTrashPurge();
+      scheduleContentTypeRefresh();
+      scheduleWebhookDeliveries();
+      watchContentChanges().catch((error) => {
+        console.error("Error watching content changes:", error.message);
+      });
+      resumeImageVariants().catch((error) => {
+        console.error("Error resuming image variants:", error.message);
+      });
+      app.listen(PORT, () => {
+        console.log(`app is listening on PORT ${PORT}`);
+      });
+    })
+    .catch((err) => {
+      console.error("Error connecting to MongoDB:", err.message);
     });
-  })
-  .catch((err) => {
-    console.error("Error connecting to MongoDB:", err.message);
+
+// Transactions and change streams need a replica set or a sharded cluster,
+// a standalone server supports neither
+let isReplicaSet = false;
+
+const detectReplicaSet = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  isReplicaSet = Boolean(hello.setName) || hello.msg === "isdbgrid";
+  if (!isReplicaSet) {
+    console.log("MongoDB is not a replica set, atomic imports are disabled");
+  }
+};
+
+// Runs fn in a transaction, or answers 503 when the server cannot
+const runTransaction = (fn) => {
+  if (!isReplicaSet) {
+    throw new ServiceUnavailableError(
+      "This operation needs MongoDB to run as a replica set"
+    );
+  }
+  return mongoose.connection.transaction(fn);
+};
+
+// Several brands (tenants) share one deployment. Every request is resolved
+// to a tenant (see TENANTS) and runs inside tenantContext, which scopes all
+// queries, aggregations and new documents of tenant owned models to it.
+// Work outside a request (startup migrations, the purge job, webhook
+// deliveries) sees the documents of every tenant.
+const tenantContext = new AsyncLocalStorage();
+
+const currentTenant = () => (tenantContext.getStore() || {}).tenant;
+
+// Adds filter to an aggregation. $text queries must stay in the first stage,
+// so a leading $match is extended rather than preceded. With overridable,
+// fields the $match already sets win over the filter.
+const scopeAggregate = (pipeline, filter, { overridable = false } = {}) => {
+  const first = pipeline[0];
+  if (!first || !first.$match) {
+    pipeline.unshift({ $match: filter });
+    return;
+  }
+  Object.entries(filter).forEach(([field, value]) => {
+    if (!overridable || first.$match[field] === undefined) {
+      first.$match[field] = value;
+    }
   });
+};
 
-const RADashboardImageSchema = new mongoose.Schema(
+const tenantPlugin = (schema) => {
+  schema.add({
+    tenantId: { type: String, required: true, immutable: true, index: true },
+  });
+
+  const scopeToTenant = function () {
+    const tenant = currentTenant();
+    if (tenant) this.where({ tenantId: tenant.tenantId });
+  };
+
+  schema.pre(
+    [
+      "find",
+      "findOne",
+      "countDocuments",
+      "distinct",
+      "findOneAndUpdate",
+      "findOneAndDelete",
+      "findOneAndReplace",
+      "updateMany",
+      "replaceOne",
+    ],
+    scopeToTenant
+  );
+  schema.pre(
+    ["updateOne", "deleteOne", "deleteMany"],
+    { query: true, document: false },
+    scopeToTenant
+  );
+
+  schema.pre("aggregate", function () {
+    const tenant = currentTenant();
+    if (tenant) scopeAggregate(this.pipeline(), { tenantId: tenant.tenantId });
+  });
+
+  schema.pre("validate", function () {
+    const tenant = currentTenant();
+    if (!tenant) return;
+    if (this.isNew && !this.tenantId) this.tenantId = tenant.tenantId;
+    if (this.tenantId !== tenant.tenantId) {
+      throw new ForbiddenError("Documents of another tenant cannot be changed");
+    }
+  });
+};
+
+// Tenants may limit the types of content they use, e.g. to some banner
+// types. `setting` names the list in the tenant settings, an empty list
+// allows every type.
+const tenantTypesPlugin = (schema, { setting }) => {
+  const allowedTypes = () => {
+    const tenant = currentTenant();
+    const allowed = tenant && tenant.settings && tenant.settings[setting];
+    return allowed && allowed.length ? allowed : null;
+  };
+
+  schema.pre("validate", function () {
+    const allowed = allowedTypes();
+    if (allowed && this.isModified("type") && !allowed.includes(this.type)) {
+      this.invalidate(
+        "type",
+        `Type '${this.type}' is not enabled for this tenant`,
+        this.type
+      );
+    }
+  });
+
+  schema.pre("findOneAndUpdate", function () {
+    const update = this.getUpdate() || {};
+    const { type } = { ...update, ...update.$set };
+    const allowed = allowedTypes();
+    if (allowed && type !== undefined && !allowed.includes(type)) {
+      throw new ValidationError(
+        `Type '${type}' is not enabled for this tenant`,
+        [
+          {
+            in: "body",
+            field: "type",
+            message: `must be one of: ${allowed.join(", ")}`,
+          },
+        ]
+      );
+    }
+  });
+};
+
+// Soft delete: DELETE routes only set deletedAt and every query or
+// aggregation skips those documents unless its filter mentions deletedAt
+// itself (which is how the trash, restore and purge queries opt in).
+const softDeletePlugin = (schema) => {
+  schema.add({ deletedAt: { type: Date, default: null, index: true } });
+
+  const excludeDeleted = function () {
+    if (this.getFilter().deletedAt === undefined) {
+      this.where({ deletedAt: null });
+    }
+  };
+
+  schema.pre(
+    [
+      "find",
+      "findOne",
+      "countDocuments",
+      "findOneAndUpdate",
+      "updateOne",
+      "updateMany",
+    ],
+    excludeDeleted
+  );
+
+  schema.pre("aggregate", function () {
+    scopeAggregate(this.pipeline(), { deletedAt: null }, { overridable: true });
+  });
+
+  schema.statics.softDeleteById = function (id) {
+    return this.findByIdAndUpdate(
+      id,
+      { $set: { deletedAt: new Date() } },
+      { new: true }
+    );
+  };
+
+  schema.statics.restoreById = function (id) {
+    return this.findOneAndUpdate(
+      { _id: id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { new: true }
+    );
+  };
+};
+
+// Manual display order for dashboards: pinned documents come first, then
+// ascending position. PUT /:collection/order rewrites the positions.
+const ORDER_SORT = "-pinned,position,-createdAt";
+
+const orderablePlugin = (schema) => {
+  schema.add({
+    position: { type: Number, default: 0 },
+    pinned: { type: Boolean, default: false },
+  });
+  schema.index({ pinned: -1, position: 1 });
+};
+
+// Publishing workflow for posters and banners. New documents start as
+// drafts and public readers only ever see published ones. Every action may
+// only be taken from the statuses in `from`.
+const PUBLISH_STATUSES = [
+  "draft",
+  "in_review",
+  "approved",
+  "published",
+  "archived",
+];
+
+const PUBLISH_ACTIONS = {
+  submit: { from: ["draft"], to: "in_review" },
+  approve: { from: ["in_review"], to: "approved" },
+  reject: { from: ["in_review", "approved"], to: "draft", needsComment: true },
+  publish: { from: ["approved"], to: "published" },
+  archive: { from: ["draft", "approved", "published"], to: "archived" },
+};
+
+const ReviewSchema = new mongoose.Schema(
   {
-    expertId: {
+    // "edit" is recorded when a content change sends an item back to review
+    action: { type: String, enum: [...Object.keys(PUBLISH_ACTIONS), "edit"] },
+    from: { type: String, enum: PUBLISH_STATUSES },
+    to: { type: String, enum: PUBLISH_STATUSES },
+    comment: { type: String, trim: true },
+    actorId: { type: String, required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const publishingPlugin = (schema) => {
+  schema.add({
+    status: {
       type: String,
-      required: true,
+      enum: PUBLISH_STATUSES,
+      default: "draft",
+      index: true,
     },
-    imageurl: {
+    publishedAt: { type: Date },
+    reviews: [ReviewSchema], // Oldest first
+  });
+
+  // Applies a workflow action and returns the updated document, or null
+  // when there is no document with this id. The status is checked again in
+  // the update so that concurrent actions cannot both succeed.
+  schema.statics.applyAction = async function (id, action, { actor, comment }) {
+    const { from, to, needsComment } = PUBLISH_ACTIONS[action];
+
+    if (needsComment && !comment) {
+      throw new ValidationError(`A comment is required to ${action}`, [
+        { in: "body", field: "comment", message: "is required" },
+      ]);
+    }
+
+    const item = await this.findById(id);
+    if (!item) return null;
+
+    const updated =
+      from.includes(item.status) &&
+      (await this.findOneAndUpdate(
+        { _id: id, status: item.status },
+        {
+          $set: {
+            status: to,
+            ...(to === "published" && { publishedAt: new Date() }),
+          },
+          $push: {
+            reviews: {
+              action,
+              from: item.status,
+              to,
+              comment,
+              actorId: actor.id,
+            },
+          },
+        },
+        { new: true, runValidators: true }
+      ));
+
+    if (!updated) {
+      throw new ConflictError(
+        `Cannot ${action} an item that is ${item.status}`,
+        [
+          {
+            field: "status",
+            message: `must be one of: ${from.join(", ")} to ${action}`,
+          },
+        ]
+      );
+    }
+    return updated;
+  };
+
+  // Returns the update that applies `changes` to `item`. Content changes to
+  // approved or published items send them back to review, so nothing goes
+  // live unreviewed. The display order may change at any time.
+  schema.statics.editUpdate = function (item, changes, actor) {
+    const contentChanged = Object.entries(changes).some(
+      ([field, value]) =>
+        !["pinned", "position"].includes(field) &&
+        String(item[field]) !== String(value)
+    );
+    if (!contentChanged || !["approved", "published"].includes(item.status)) {
+      return { $set: changes };
+    }
+    return {
+      $set: { ...changes, status: "in_review" },
+      $push: {
+        reviews: {
+          action: "edit",
+          from: item.status,
+          to: "in_review",
+          actorId: actor.id,
+        },
+      },
+    };
+  };
+};
+
+// Anonymous and non-admin readers only see published items
+const publishedFilter = (user) =>
+  user && user.role === "admin" ? {} : { status: "published" };
+
+// Resized and re-encoded copies of an image, generated in the background
+// (see IMAGE VARIANTS) whenever a document gets a new image URL. Sizes are
+// the longest side in pixels, full keeps the original size.
+const IMAGE_VARIANT_SIZES = { thumbnail: 200, medium: 800, full: null };
+const IMAGE_VARIANT_FORMATS = ["jpeg", "webp", "avif"];
+
+const imageVariantsPlugin = (schema, { field, folder }) => {
+  schema.add({
+    variants: Object.fromEntries(
+      Object.keys(IMAGE_VARIANT_SIZES).map((size) => [
+        size,
+        Object.fromEntries(
+          IMAGE_VARIANT_FORMATS.map((format) => [format, String])
+        ),
+      ])
+    ),
+    variantsStatus: { type: String, enum: ["pending", "ready", "failed"] },
+    variantsError: { type: String },
+  });
+
+  schema.statics.queueVariants = function (id) {
+    queueImageVariants(this, id, { field, folder });
+  };
+
+  schema.pre("save", function () {
+    this.$locals.variantsChanged = this.isNew || this.isModified(field);
+    if (this.$locals.variantsChanged) this.variantsStatus = "pending";
+  });
+
+  schema.post("save", function () {
+    if (!this.$locals.variantsChanged) return;
+    whenCommitted(this.$session(), () =>
+      this.constructor.queueVariants(this._id)
+    );
+  });
+
+  schema.pre("findOneAndUpdate", function () {
+    const update = this.getUpdate() || {};
+    this._variantsChanged = field in update || field in (update.$set || {});
+    if (this._variantsChanged) this.set("variantsStatus", "pending");
+  });
+
+  schema.post("findOneAndUpdate", function (doc) {
+    if (this._variantsChanged && doc) this.model.queueVariants(doc._id);
+  });
+};
+
+const AuditEventSchema = new mongoose.Schema(
+  {
+    actorId: { type: String, required: true },
+    actorRole: { type: String, required: true },
+    action: {
       type: String,
+      enum: ["create", "update", "delete", "restore", "purge"],
       required: true,
     },
-    type: {
+    model: { type: String, required: true },
+    documentId: { type: String, required: true },
+    // { field: { before, after } } for every field that changed
+    changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditEventSchema.index({ model: 1, documentId: 1, createdAt: -1 });
+AuditEventSchema.index({ actorId: 1, createdAt: -1 });
+
+AuditEventSchema.plugin(tenantPlugin);
+
+const AuditEvent = mongoose.model("AuditEvent", AuditEventSchema);
+
+// Carries the authenticated user through the async work of a request so
+// model hooks know who made a change. Writes outside a request (startup
+// migrations, the purge job) are attributed to "system".
+const auditContext = new AsyncLocalStorage();
+
+const AUDIT_IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+const diffDocuments = (before = {}, after = {}) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach((field) => {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { before: before[field], after: after[field] };
+    }
+  });
+
+  return changes;
+};
+
+// Pass the session of a transaction so the event, its webhook deliveries
+// and live updates only happen if it commits
+const recordAuditEvent = async (model, action, before, after, session) => {
+  const { actor } = auditContext.getStore() || {};
+  const changes = diffDocuments(before || {}, after || {});
+
+  if (action === "update" && !Object.keys(changes).length) return;
+
+  try {
+    await AuditEvent.create(
+      [
+        {
+          actorId: actor ? actor.id : "system",
+          actorRole: actor ? actor.role : "system",
+          action,
+          model,
+          documentId: String((after || before)._id),
+          tenantId: (after || before).tenantId,
+          changes,
+        },
+      ],
+      { session }
+    );
+  } catch (error) {
+    console.error("Failed to record audit event:", error.message);
+  }
+
+  try {
+    await enqueueWebhookDeliveries(model, action, before, after, session);
+  } catch (error) {
+    console.error("Failed to queue webhook deliveries:", error.message);
+  }
+
+  publishAuditedChange(model, action, before, after, session);
+};
+
+// Soft delete and restore are plain updates of deletedAt
+const auditActionFor = (before, after) => {
+  if (!before.deletedAt && after.deletedAt) return "delete";
+  if (before.deletedAt && !after.deletedAt) return "restore";
+  return "update";
+};
+
+// Records an AuditEvent for every create, update and delete made through
+// document saves, findOneAndUpdate, deleteOne and deleteMany (document
+// deleteOne() runs the query hooks too). Snapshots are
+// read through the raw collection so the soft delete filter does not hide
+// them.
+const auditPlugin = (schema) => {
+  schema.post("init", function () {
+    this.$locals.auditSnapshot = this.toObject({ depopulate: true });
+  });
+
+  schema.pre("save", function () {
+    this.$locals.auditWasNew = this.isNew;
+  });
+
+  schema.post("save", async function () {
+    const before = this.$locals.auditWasNew ? null : this.$locals.auditSnapshot;
+    const after = this.toObject({ depopulate: true });
+    this.$locals.auditSnapshot = after;
+
+    await recordAuditEvent(
+      this.constructor.modelName,
+      before ? auditActionFor(before, after) : "create",
+      before,
+      after,
+      this.$session()
+    );
+  });
+
+  schema.pre("findOneAndUpdate", async function () {
+    this._auditBefore = await this.model.collection.findOne(
+      this.cast(this.model, this.getFilter())
+    );
+  });
+
+  schema.post("findOneAndUpdate", async function () {
+    const before = this._auditBefore;
+    if (!before) return;
+
+    const after = await this.model.collection.findOne({ _id: before._id });
+    await recordAuditEvent(
+      this.model.modelName,
+      auditActionFor(before, after),
+      before,
+      after
+    );
+  });
+
+  schema.pre(
+    ["deleteOne", "deleteMany"],
+    { query: true, document: false },
+    async function () {
+      this._auditBefore = await this.model.collection
+        .find(this.cast(this.model, this.getFilter()))
+        .limit(this.op === "deleteOne" ? 1 : 0)
+        .toArray();
+    }
+  );
+
+  schema.post(
+    ["deleteOne", "deleteMany"],
+    { query: true, document: false },
+    async function () {
+      // Bulk deletes only come from the trash purge
+      const action = this.op === "deleteMany" ? "purge" : "delete";
+      for (const before of this._auditBefore || []) {
+        await recordAuditEvent(this.model.modelName, action, before, null);
+      }
+    }
+  );
+};
+
+// The types of RA images, posters and banners live in the ContentType
+// registry so admins can add placements without a deploy. Schemas, request
+// validation and the swagger enums follow an in-memory copy, reloaded after
+// every change and every CONTENT_TYPE_REFRESH_MS to pick up changes made by
+// other instances.
+const CONTENT_TYPE_KINDS = {
+  image: {
+    model: "RADashboardImage",
+    folder: "ra-dashboard",
+    schema: "ImageType",
+  },
+  poster: { model: "AdminPoster", folder: "posters", schema: "PosterType" },
+  banner: { model: "Banner", folder: "banners", schema: "BannerType" },
+};
+
+const CONTENT_TYPE_REFRESH_MS =
+  Number(process.env.CONTENT_TYPE_REFRESH_MS) || 60 * 1000;
+
+const ContentTypeSchema = new mongoose.Schema(
+  {
+    kind: {
       type: String,
-      enum: ["blur", "marketing", "premium"], // You can adjust this based on the type requirements
+      enum: Object.keys(CONTENT_TYPE_KINDS),
       required: true,
+      immutable: true,
     },
-    name: {
+    // The value stored in the type field of documents
+    key: {
       type: String,
       required: true,
+      immutable: true,
+      match: /^[a-z0-9][a-z0-9_-]{0,39}$/,
+      validate: {
+        validator: function (key) {
+          return this.kind !== "poster" || /^[1-9][0-9]*$/.test(key);
+        },
+        message: "Poster type keys must be positive integers",
+      },
+    },
+    label: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    // Limits in pixels for images uploaded with this type
+    dimensions: {
+      minWidth: { type: Number, min: 1 },
+      minHeight: { type: Number, min: 1 },
+      maxWidth: { type: Number, min: 1 },
+      maxHeight: { type: Number, min: 1 },
     },
   },
   { timestamps: true }
 );
 
-const RADashboardImage = mongoose.model(
-  "RADashboardImage",
-  RADashboardImageSchema
-);
+ContentTypeSchema.index({ kind: 1, key: 1 }, { unique: true });
 
-const PosterSchema = new mongoose.Schema(
+const ContentType = mongoose.model("ContentType", ContentTypeSchema);
+
+// kind -> Map of key -> content type, in the order they were added
+let contentTypes = new Map();
+
+const refreshContentTypes = async () => {
+  const types = await ContentType.find().sort({ createdAt: 1 }).lean();
+  contentTypes = new Map(
+    Object.keys(CONTENT_TYPE_KINDS).map((kind) => [
+      kind,
+      new Map(
+        types
+          .filter((type) => type.kind === kind)
+          .map((type) => [type.key, type])
+      ),
+    ])
+  );
+
+  Object.entries(CONTENT_TYPE_KINDS).forEach(([kind, { schema }]) => {
+    const keys = [...contentTypes.get(kind).keys()];
+    swaggerSpec.components.schemas[schema].enum =
+      kind === "poster" ? keys.map(Number) : keys;
+  });
+  // Request validators are compiled again with the new enums
+  operationValidators.clear();
+  rowValidators.clear();
+};
+
+const findContentType = (kind, key) =>
+  (contentTypes.get(kind) || new Map()).get(String(key));
+
+const contentTypeValidator = (kind) => ({
+  validator: (value) => Boolean(findContentType(kind, value)),
+  message: (props) => `'${props.value}' is not a registered ${kind} type`,
+});
+
+// Describes how an image breaks the dimension limits of its type, if it
+// does
+const contentTypeDimensionsError = (kind, key, { width, height }) => {
+  const type = findContentType(kind, key);
+  const { minWidth, minHeight, maxWidth, maxHeight } =
+    (type && type.dimensions) || {};
+  const problems = [
+    minWidth && width < minWidth && `at least ${minWidth}px wide`,
+    minHeight && height < minHeight && `at least ${minHeight}px high`,
+    maxWidth && width > maxWidth && `at most ${maxWidth}px wide`,
+    maxHeight && height > maxHeight && `at most ${maxHeight}px high`,
+  ].filter(Boolean);
+
+  return problems.length
+    ? `must be ${problems.join(" and ")} for type '${key}'`
+    : null;
+};
+
+// The types that used to be hard-coded
+const DEFAULT_CONTENT_TYPES = [
   {
-    image1url: {
+    kind: "image",
+    key: "blur",
+    label: "Blur",
+    description: "Blurred teaser of a premium image",
+  },
+  { kind: "image", key: "marketing", label: "Marketing" },
+  {
+    kind: "image",
+    key: "premium",
+    label: "Premium",
+    description: "Full image for subscribers",
+  },
+  {
+    kind: "poster",
+    key: "1",
+    label: "Side by side",
+    description: "Both images next to each other on a 1080x1080 canvas",
+  },
+  {
+    kind: "poster",
+    key: "2",
+    label: "Stacked",
+    description: "Both images on top of each other on a 1080x1350 canvas",
+  },
+  {
+    kind: "poster",
+    key: "3",
+    label: "Inset",
+    description: "The second image inset over the first, 1080x1080",
+  },
+  { kind: "banner", key: "home", label: "Home" },
+  { kind: "banner", key: "webinar", label: "Webinar" },
+  { kind: "banner", key: "course", label: "Course" },
+  { kind: "banner", key: "premium", label: "Premium" },
+  { kind: "banner", key: "website", label: "Website" },
+];
+
+// Seeds the default types of every kind that has none yet, so defaults
+// that were deleted stay deleted
+const migrateContentTypes = async () => {
+  for (const kind of Object.keys(CONTENT_TYPE_KINDS)) {
+    if (await ContentType.exists({ kind })) continue;
+    await ContentType.create(
+      DEFAULT_CONTENT_TYPES.filter((type) => type.kind === kind)
+    );
+    console.log(`Registered the default ${kind} types`);
+  }
+  await refreshContentTypes();
+};
+
+const scheduleContentTypeRefresh = () => {
+  setInterval(() => {
+    refreshContentTypes().catch((error) => {
+      console.error("Error refreshing content types:", error.message);
+    });
+  }, CONTENT_TYPE_REFRESH_MS).unref();
+};
+
+const RADashboardImageSchema = new mongoose.Schema(
+  {
+    expertId: {
       type: String,
       required: true,
     },
-    image2url: {
+    imageurl: {
       type: String,
       required: true,
     },
     type: {
-      type: Number,
-      enum: [1, 2, 3], // Restrict values to 1, 2, or 3
+      type: String,
       required: true,
+      validate: contentTypeValidator("image"),
     },
     name: {
       type: String,
       required: true,
     },
+    // Blur teasers only: the premium image they were generated from and the
+    // settings used, which are reused when the premium image is replaced
+    sourceImageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      index: true,
+    },
+    blur: {
+      radius: { type: Number },
+      watermark: { type: String },
+    },
   },
   { timestamps: true }
 );
 
-const Poster = mongoose.model("AdminPoster", PosterSchema);
+// Blur teasers follow their premium image: replacing it regenerates them,
+// deleting or restoring it deletes or restores them too
+RADashboardImageSchema.pre("save", function () {
+  this.$locals.blurSourceChanged = !this.isNew && this.isModified("imageurl");
+});
 
-const bannerSchema = new mongoose.Schema(
-  {
-    type: {
-      type: String,
-      required: true,
-      enum: ["home", "webinar", "course", "premium", "website"], // Specifies allowed types
+RADashboardImageSchema.post("save", function () {
+  if (this.type !== "premium" || !this.$locals.blurSourceChanged) return;
+  whenCommitted(this.$session(), () => queueBlurRefresh(this._id));
+});
+
+RADashboardImageSchema.pre("findOneAndUpdate", function () {
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...update.$set };
+  this._blurSync = {
+    sourceChanged: "imageurl" in fields,
+    deletedAt: fields.deletedAt,
+  };
+});
+
+RADashboardImageSchema.post("findOneAndUpdate", async function (doc) {
+  if (!doc || doc.type !== "premium") return;
+  const { sourceChanged, deletedAt } = this._blurSync;
+
+  if (deletedAt !== undefined) await syncBlurTeaserDeletion(doc._id, deletedAt);
+  if (sourceChanged) queueBlurRefresh(doc._id);
+});
+
+// Text indexes back GET /search
+RADashboardImageSchema.index({ name: "text" });
+
+RADashboardImageSchema.plugin(tenantPlugin);
+RADashboardImageSchema.plugin(tenantTypesPlugin, { setting: "imageTypes" });
+RADashboardImageSchema.plugin(softDeletePlugin);
+RADashboardImageSchema.plugin(orderablePlugin);
+RADashboardImageSchema.plugin(imageVariantsPlugin, {
+  field: "imageurl",
+  folder: "ra-dashboard",
+});
+RADashboardImageSchema.plugin(auditPlugin);
+
+const RADashboardImage = mongoose.model(
+  "RADashboardImage",
+  RADashboardImageSchema
+);
+
+const PosterSchema = new mongoose.Schema(
+  {
+    image1url: {
+      type: String,
+      required: true,
+    },
+    image2url: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: Number,
+      required: true,
+      validate: contentTypeValidator("poster"),
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+PosterSchema.index({ name: "text" });
+
+PosterSchema.plugin(tenantPlugin);
+PosterSchema.plugin(tenantTypesPlugin, { setting: "posterTypes" });
+PosterSchema.plugin(softDeletePlugin);
+PosterSchema.plugin(orderablePlugin);
+PosterSchema.plugin(publishingPlugin);
+PosterSchema.plugin(auditPlugin);
+
+const Poster = mongoose.model("AdminPoster", PosterSchema);
+
+const bannerSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      validate: contentTypeValidator("banner"),
       trim: true,
     },
     imageurl: {
@@ -120,14 +1238,78 @@ const bannerSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    startsAt: {
+      type: Date, // Live immediately when not set
+    },
+    endsAt: {
+      type: Date, // Never expires when not set
+      validate: {
+        validator: function (value) {
+          return !value || !this.startsAt || value > this.startsAt;
+        },
+        message: "endsAt must be after startsAt",
+      },
+    },
+    priority: {
+      type: Number,
+      default: 0, // Higher priority banners are shown first
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt timestamps
   }
 );
 
+bannerSchema.index({ type: 1, priority: -1 });
+bannerSchema.index({ name: "text" });
+
+bannerSchema.plugin(tenantPlugin);
+bannerSchema.plugin(tenantTypesPlugin, { setting: "bannerTypes" });
+bannerSchema.plugin(softDeletePlugin);
+bannerSchema.plugin(orderablePlugin);
+bannerSchema.plugin(publishingPlugin);
+bannerSchema.plugin(imageVariantsPlugin, {
+  field: "imageurl",
+  folder: "banners",
+});
+bannerSchema.plugin(auditPlugin);
+
 const Banner = mongoose.model("Banner", bannerSchema);
 
+// Posters and banners created before the workflow existed are already live
+const migratePublishStatus = async () => {
+  for (const model of [Poster, Banner]) {
+    const { modifiedCount } = await model.collection.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: "published", publishedAt: "$createdAt" } }]
+    );
+    if (modifiedCount) {
+      console.log(`Published ${modifiedCount} existing ${model.modelName}(s)`);
+    }
+  }
+};
+
+// Documents from before manual ordering lack the fields, and the cursor
+// filters of sorted listings skip documents without them
+const migrateDisplayOrder = async () => {
+  for (const model of [RADashboardImage, Poster, Banner]) {
+    for (const [field, value] of [
+      ["pinned", false],
+      ["position", 0],
+    ]) {
+      const { modifiedCount } = await model.collection.updateMany(
+        { [field]: { $exists: false } },
+        { $set: { [field]: value } }
+      );
+      if (modifiedCount) {
+        console.log(
+          `Set ${field} on ${modifiedCount} existing ${model.modelName}(s)`
+        );
+      }
+    }
+  }
+};
+
 const FeedbackSchema = new mongoose.Schema(
   {
     star: {
@@ -153,10 +1335,17 @@ const FeedbackSchema = new mongoose.Schema(
       required: true,
       match: /^[0-9]{10}$/, // Validation for a 10-digit mobile number
     },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "hidden"], // Moderation state
+      default: "pending",
+    },
   },
   { timestamps: true } // Automatically adds createdAt and updatedAt fields
 );
 
+FeedbackSchema.plugin(tenantPlugin);
+
 const Feedback = mongoose.model("Feedback", FeedbackSchema);
 
 const messageTemplateSchema = new mongoose.Schema(
@@ -175,1030 +1364,8239 @@ const messageTemplateSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      // enum: ['text', 'html'],
+      enum: ["text", "html"],
+      default: "text",
     },
+    // Names of the {{placeholders}} the heading and footer may use
+    variables: [
+      {
+        type: String,
+        match: /^[a-zA-Z_][a-zA-Z0-9_]*$/,
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// Matches in the name rank above matches in the content
+messageTemplateSchema.index(
+  { templatename: "text", headingcontent: "text", footercontent: "text" },
+  { weights: { templatename: 3 } }
+);
+
+messageTemplateSchema.plugin(tenantPlugin);
+messageTemplateSchema.plugin(softDeletePlugin);
+messageTemplateSchema.plugin(auditPlugin);
+
 const MessageTemplate = mongoose.model(
   "MessageTemplate",
   messageTemplateSchema
 );
 
+// Fields of a template that are versioned and may be updated
+const TEMPLATE_FIELDS = [
+  "raid",
+  "templatename",
+  "headingcontent",
+  "footercontent",
+  "type",
+  "variables",
+];
+
+// Immutable snapshot of a template after each write
+const TemplateRevisionSchema = new mongoose.Schema(
+  {
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      immutable: true,
+    },
+    revision: { type: Number, required: true, immutable: true },
+    raid: { type: String, immutable: true },
+    templatename: { type: String, immutable: true },
+    headingcontent: { type: String, immutable: true },
+    footercontent: { type: String, immutable: true },
+    type: { type: String, immutable: true },
+    variables: { type: [String], immutable: true },
+    createdBy: { type: String, immutable: true },
+    revertedFrom: { type: Number, immutable: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+TemplateRevisionSchema.index({ templateId: 1, revision: -1 }, { unique: true });
+
+TemplateRevisionSchema.plugin(tenantPlugin);
+
+const TemplateRevision = mongoose.model(
+  "TemplateRevision",
+  TemplateRevisionSchema
+);
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Short code used in tracked redirect URLs (/api/r/:code)
+const generateLinkCode = () => crypto.randomBytes(6).toString("base64url");
+
+const CopartnerLinkItemSchema = new mongoose.Schema(
+  {
+    code: { type: String, default: generateLinkCode },
+    label: { type: String, trim: true },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: {
+        validator: isHttpUrl,
+        message: (props) => `'${props.value}' is not a valid http(s) URL`,
+      },
+    },
+    active: { type: Boolean, default: true },
+    order: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
 const CopartnerSchema = new mongoose.Schema(
   {
-    copartnerId: { type: String, required: true, unique: true },
-    links: [{ type: String, required: true }], // Array of links
+    copartnerId: { type: String, required: true },
+    links: [CopartnerLinkItemSchema], // Array of links
   },
   { timestamps: true }
 ); // Automatically add createdAt and updatedAt fields
 
-const CopartnerLinks = mongoose.model("CopartnerLink", CopartnerSchema);
+// Copartner ids come from the brand's own platform and may repeat across
+// tenants. Link codes are random and stay unique across the deployment.
+CopartnerSchema.index({ tenantId: 1, copartnerId: 1 }, { unique: true });
+CopartnerSchema.index({ "links.code": 1 }, { unique: true, sparse: true });
 
-/**
- * @swagger
- * /ra-dashboard/image:
- *   post:
- *     summary: Add a new image for RA Dashboard
- *     tags: [RADashboardImage]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               expertId:
- *                 type: string
- *               imageurl:
- *                 type: string
- *               type:
- *                 type: string
- *                 enum: [blur, marketing, premium]
- *               name:
- *                 type: string
- *     responses:
- *       201:
- *         description: Image added successfully
- *       400:
- *         description: Bad request, required fields are missing
- *       500:
- *         description: Server error
- */
-router.post("/ra-dashboard/image", async (req, res) => {
-  try {
-    const { expertId, imageurl, type, name } = req.body;
+// Keep links stored in display order
+CopartnerSchema.pre("save", function (next) {
+  this.links.sort((a, b) => a.order - b.order);
+  next();
+});
 
-    if (!expertId || !imageurl || !type || !name) {
-      return res
-        .status(400)
-        .json({ message: "All required fields must be provided" });
-    }
+CopartnerSchema.plugin(tenantPlugin);
+CopartnerSchema.plugin(auditPlugin);
 
-    const newImage = new RADashboardImage({
-      expertId,
-      imageurl,
-      type,
-      name,
-    });
+const CopartnerLinks = mongoose.model("CopartnerLink", CopartnerSchema);
 
-    await newImage.save();
+const LinkClickSchema = new mongoose.Schema(
+  {
+    copartnerId: { type: String, required: true },
+    linkId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    code: { type: String, required: true },
+    referrer: { type: String },
+    userAgent: { type: String },
+    ipHash: { type: String }, // Salted SHA-256, raw IPs are never stored
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
 
-    res.status(201).json({
-      message: "Image added successfully",
-      data: newImage,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
-});
+LinkClickSchema.index({ copartnerId: 1, createdAt: 1 });
+LinkClickSchema.index({ linkId: 1, createdAt: 1 });
 
-/**
- * @swagger
- * /ra-dashboard/image/{id}:
- *   patch:
- *     summary: Update an image by its ObjectId
- *     tags: [RADashboardImage]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: The ObjectId of the image to update
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/RADashboardImage'
- *     responses:
- *       200:
- *         description: Image updated successfully
- *       404:
- *         description: Image not found
- *       500:
- *         description: Server error
- */
-router.patch("/ra-dashboard/image/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updateData = req.body;
+LinkClickSchema.plugin(tenantPlugin);
 
-    if (!Object.keys(updateData).length) {
-      return res
-        .status(400)
-        .json({ message: "No fields provided for update." });
-    }
+const LinkClick = mongoose.model("LinkClick", LinkClickSchema);
 
-    const updatedImage = await RADashboardImage.findByIdAndUpdate(
-      id,
-      { $set: updateData },
-      { new: true, runValidators: true }
-    );
+// Content events that can be subscribed to, e.g. banner.created. Every
+// audited change of these models is offered to the matching webhooks.
+const WEBHOOK_SOURCES = {
+  RADashboardImage: "image",
+  AdminPoster: "poster",
+  Banner: "banner",
+  MessageTemplate: "template",
+  CopartnerLink: "copartnerLink",
+};
 
-    if (!updatedImage) {
-      return res.status(404).json({
-        message: `No image found with id '${id}'`,
-      });
-    }
+const WEBHOOK_ACTIONS = {
+  create: "created",
+  update: "updated",
+  delete: "deleted",
+  restore: "restored",
+  purge: "purged",
+};
 
-    res.status(200).json({
-      message: "Image updated successfully",
-      data: updatedImage,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
-});
+const WEBHOOK_EVENTS = Object.values(WEBHOOK_SOURCES).flatMap((source) =>
+  Object.values(WEBHOOK_ACTIONS).map((action) => `${source}.${action}`)
+);
 
-/**
- * @swagger
- * /ra-dashboard/image/{id}:
- *   delete:
- *     summary: Delete an image by its ObjectId
- *     tags: [RADashboardImage]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: The ObjectId of the image to delete
- *     responses:
- *       200:
- *         description: Image deleted successfully
- *       404:
- *         description: Image not found
- *       500:
- *         description: Server error
- */
-router.delete("/ra-dashboard/image/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
+const WebhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      validate: {
+        validator: isHttpUrl,
+        message: (props) => `'${props.value}' is not a valid http(s) URL`,
+      },
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "At least one event is required",
+      },
+    },
+    description: { type: String, trim: true },
+    // Signs every delivery, only returned when the subscription is created
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+      default: () => crypto.randomBytes(32).toString("hex"),
+    },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
 
-    const deletedImage = await RADashboardImage.findByIdAndDelete(id);
+WebhookSubscriptionSchema.index({ events: 1, active: 1 });
 
-    if (!deletedImage) {
-      return res.status(404).json({
-        message: `No image found with id '${id}'`,
-      });
-    }
+WebhookSubscriptionSchema.plugin(tenantPlugin);
 
-    res.status(200).json({
-      message: "Image deleted successfully",
-      data: deletedImage,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
-});
+const WebhookSubscription = mongoose.model(
+  "WebhookSubscription",
+  WebhookSubscriptionSchema
+);
 
-/**
- * @swagger
- * /ra-dashboard/images:
- *   get:
- *     summary: Get all images for RA Dashboard
- *     tags: [RADashboardImage]
- *     responses:
- *       200:
- *         description: A list of all images
- *         content:
- *           application/json:
+// One event for one subscription. Pending deliveries are picked up by the
+// delivery loop once nextAttemptAt has passed.
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    deliveredAt: { type: Date },
+    lastError: { type: String },
+    // Every attempt, oldest first
+    log: [
+      {
+        _id: false,
+        attemptedAt: { type: Date, required: true },
+        responseStatus: { type: Number },
+        error: { type: String },
+        durationMs: { type: Number },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+WebhookDeliverySchema.plugin(tenantPlugin);
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  WebhookDeliverySchema
+);
+
+// Links used to be stored as bare URL strings; accept both shapes as input
+const toLinkItems = (links) =>
+  (links || []).map((link, index) =>
+    typeof link === "string"
+      ? { url: link, order: index }
+      : { order: index, ...link }
+  );
+
+// Converts documents still holding string links to sub-documents and gives
+// every link a tracking code. Runs on startup and is a no-op once every
+// document has been migrated.
+const migrateCopartnerLinks = async () => {
+  const legacy = await CopartnerLinks.collection
+    .find({
+      $or: [
+        { links: { $elemMatch: { $type: "string" } } },
+        { links: { $elemMatch: { code: { $exists: false } } } },
+      ],
+    })
+    .toArray();
+
+  if (!legacy.length) return;
+
+  await CopartnerLinks.collection.bulkWrite(
+    legacy.map((doc) => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: {
+            links: toLinkItems(doc.links).map((link) => ({
+              _id: new mongoose.Types.ObjectId(),
+              code: generateLinkCode(),
+              active: true,
+              ...link,
+            })),
+          },
+        },
+      },
+    }))
+  );
+
+  console.log(`Migrated links of ${legacy.length} copartner(s)`);
+};
+
+// The tenant of requests that name none and of all data stored before
+// tenants existed. Its admins manage the other tenants.
+const DEFAULT_TENANT_ID = process.env.DEFAULT_TENANT_ID || "default";
+
+const TenantSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+      match: /^[a-z0-9][a-z0-9-]{1,39}$/,
+    },
+    name: { type: String, required: true, trim: true },
+    // Host names that resolve to this tenant, e.g. poster.copartner.in
+    hosts: [{ type: String, lowercase: true, trim: true }],
+    // Types of content the tenant may create, empty lists allow all
+    settings: {
+      bannerTypes: [{ type: String, validate: contentTypeValidator("banner") }],
+      imageTypes: [{ type: String, validate: contentTypeValidator("image") }],
+      posterTypes: [{ type: Number, validate: contentTypeValidator("poster") }],
+    },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+TenantSchema.index({ hosts: 1 }, { unique: true, sparse: true });
+
+const Tenant = mongoose.model("Tenant", TenantSchema);
+
+const TENANT_MODELS = [
+  RADashboardImage,
+  Poster,
+  Banner,
+  Feedback,
+  MessageTemplate,
+  TemplateRevision,
+  CopartnerLinks,
+  LinkClick,
+  AuditEvent,
+  WebhookSubscription,
+  WebhookDelivery,
+];
+
+// Creates the default tenant and hands it every document stored before
+// tenants existed
+const migrateTenants = async () => {
+  await Tenant.updateOne(
+    { tenantId: DEFAULT_TENANT_ID },
+    { $setOnInsert: { name: DEFAULT_TENANT_ID } },
+    { upsert: true }
+  );
+
+  for (const model of TENANT_MODELS) {
+    const { modifiedCount } = await model.collection.updateMany(
+      { tenantId: { $exists: false } },
+      { $set: { tenantId: DEFAULT_TENANT_ID } }
+    );
+    if (modifiedCount) {
+      console.log(
+        `Assigned ${modifiedCount} ${model.modelName}(s) to tenant ${DEFAULT_TENANT_ID}`
+      );
+    }
+  }
+
+  // copartnerId used to be unique across the whole deployment
+  try {
+    await CopartnerLinks.collection.dropIndex("copartnerId_1");
+  } catch (error) {
+    if (!["IndexNotFound", "NamespaceNotFound"].includes(error.codeName)) {
+      throw error;
+    }
+  }
+};
+
+// TENANTS
+
+const TENANT_CACHE_MS = Number(process.env.TENANT_CACHE_MS) || 60 * 1000;
+
+// Every tenant is looked up on every request, so they are kept in memory.
+// Writes through the tenant API reset the cache, changes made by other
+// instances show up within TENANT_CACHE_MS.
+let tenantCache = null;
+
+const loadTenants = async () => {
+  if (tenantCache && Date.now() - tenantCache.loadedAt < TENANT_CACHE_MS) {
+    return tenantCache;
+  }
+  const tenants = await Tenant.find().lean();
+  tenantCache = {
+    loadedAt: Date.now(),
+    byId: new Map(tenants.map((tenant) => [tenant.tenantId, tenant])),
+    byHost: new Map(
+      tenants.flatMap((tenant) =>
+        (tenant.hosts || []).map((host) => [host, tenant])
+      )
+    ),
+  };
+  return tenantCache;
+};
+
+// Resolves the tenant from the X-Tenant-Id header or the host name and runs
+// the rest of the request in its context. Hosts that belong to no tenant
+// serve the default tenant, a header may only name the tenant of its host.
+const resolveTenant = asyncHandler(async (req, res, next) => {
+  const { byId, byHost } = await loadTenants();
+  const requested = req.get("X-Tenant-Id");
+  const hostTenant = byHost.get(req.hostname);
+
+  if (requested && hostTenant && requested !== hostTenant.tenantId) {
+    throw new BadRequestError(
+      `X-Tenant-Id '${requested}' does not match the host`
+    );
+  }
+
+  const tenant = requested
+    ? byId.get(requested)
+    : hostTenant || byId.get(DEFAULT_TENANT_ID);
+
+  if (!tenant || !tenant.active) {
+    throw new NotFoundError(`Unknown tenant '${requested || req.hostname}'`);
+  }
+
+  req.tenant = tenant;
+  tenantContext.run({ tenant }, next);
+});
+
+// AUTH MIDDLEWARE
+
+// Tokens are issued by the main platform; `sub` is the expert/copartner id
+// and `role` is one of admin, expert or copartner. `tenant` names the tenant
+// the token is valid for, tokens without it belong to the default tenant.
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return next(new UnauthorizedError("Authentication required"));
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return next(new UnauthorizedError("Invalid or expired token"));
+  }
+
+  if ((payload.tenant || DEFAULT_TENANT_ID) !== req.tenant.tenantId) {
+    return next(new ForbiddenError("The token belongs to another tenant"));
+  }
+  req.user = { id: String(payload.sub), role: payload.role };
+
+  auditContext.run({ actor: req.user }, next);
+};
+
+const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(
+        new ForbiddenError("You are not allowed to perform this action")
+      );
+    }
+    next();
+  };
+
+// For public routes that show more to signed in users. A token that is sent
+// must still be valid.
+const optionalAuthenticate = (req, res, next) =>
+  req.headers.authorization ? authenticate(req, res, next) : next();
+
+// Admins may act on anyone's documents, everyone else only on their own
+const isOwner = (user, ownerId) =>
+  user.role === "admin" || user.id === String(ownerId);
+
+// FILE STORAGE
+
+// Every adapter exposes save(key, buffer, contentType) -> public URL,
+// owns(url) and remove(url). remove() ignores URLs the adapter did not
+// produce, so records that still point at externally hosted images are left
+// alone.
+const createLocalStorage = ({ directory, publicUrl }) => {
+  const root = path.resolve(directory);
+
+  // Keys come from URLs stored on records, never resolve outside the root
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    return resolved.startsWith(`${root}${path.sep}`) ? resolved : null;
+  };
+
+  const owns = (url) =>
+    typeof url === "string" &&
+    url.startsWith(`${publicUrl}/`) &&
+    filePath(url.slice(publicUrl.length + 1)) !== null;
+
+  return {
+    owns,
+    async save(key, buffer) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+      return `${publicUrl}/${key}`;
+    },
+    async remove(url) {
+      if (!owns(url)) return;
+      try {
+        await fs.unlink(filePath(url.slice(publicUrl.length + 1)));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+  };
+};
+
+// Works against AWS S3 and S3-compatible servers such as MinIO
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set when STORAGE_DRIVER is s3");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint), // MinIO does not support virtual hosts
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  const owns = (url) =>
+    typeof url === "string" && url.startsWith(`${publicUrl}/`);
+
+  return {
+    owns,
+    async save(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+      return `${publicUrl}/${key}`;
+    },
+    async remove(url) {
+      if (!owns(url)) return;
+      await client.send(
+        new DeleteObjectCommand({
+          Bucket: bucket,
+          Key: url.slice(publicUrl.length + 1),
+        })
+      );
+    },
+  };
+};
+
+const storage =
+  process.env.STORAGE_DRIVER === "s3"
+    ? createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // Custom endpoints use path style URLs, AWS the bucket host
+        publicUrl:
+          process.env.S3_PUBLIC_URL ||
+          (process.env.S3_ENDPOINT
+            ? `${process.env.S3_ENDPOINT}/${process.env.S3_BUCKET}`
+            : `https://${process.env.S3_BUCKET}.s3.${
+                process.env.S3_REGION || "us-east-1"
+              }.amazonaws.com`),
+      })
+    : createLocalStorage({
+        directory: UPLOAD_DIR,
+        publicUrl:
+          process.env.UPLOAD_PUBLIC_URL || `http://localhost:${PORT}/uploads`,
+      });
+
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_UPLOAD_SIZE = Number(process.env.MAX_UPLOAD_SIZE) || 5 * 1024 * 1024; // 5 MB
+const MAX_IMAGE_DIMENSION = Number(process.env.MAX_IMAGE_DIMENSION) || 4096;
+const MIN_IMAGE_DIMENSION = Number(process.env.MIN_IMAGE_DIMENSION) || 50;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(
+        new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname)
+      );
+    }
+    cb(null, true);
+  },
+});
+
+const removeStoredFiles = (urls) =>
+  Promise.all(
+    urls.map((url) =>
+      storage.remove(url).catch((error) => {
+        console.error(`Failed to remove stored file '${url}':`, error.message);
+      })
+    )
+  );
+
+// Accepts optional multipart files for the given URL fields, stores them
+// under `folder` and writes the resulting URLs into req.body so the route
+// handlers stay unaware of uploads. JSON requests pass straight through. If
+// the handler ends up responding with an error the stored files are removed.
+// Images are also checked against the dimensions of the type sent with them.
+// URLs into our own storage can only be set by uploading, otherwise a record
+// could point at, and later delete, a file that belongs to another one.
+const uploadImages = (folder, ...fields) => {
+  const kind = Object.keys(CONTENT_TYPE_KINDS).find(
+    (name) => CONTENT_TYPE_KINDS[name].folder === folder
+  );
+
+  return (req, res, next) => {
+    const parse = imageUpload.fields(
+      fields.map((name) => ({ name, maxCount: 1 }))
+    );
+
+    // Multer calls back from stream events, bind keeps the audit context
+    parse(
+      req,
+      res,
+      AsyncResource.bind(async (err) => {
+        if (err instanceof multer.MulterError) {
+          const allowed = ALLOWED_IMAGE_TYPES.join(", ");
+          const message =
+            err.code === "LIMIT_FILE_SIZE"
+              ? `File exceeds the maximum size of ${MAX_UPLOAD_SIZE} bytes`
+              : `Unsupported file for '${err.field}'. Allowed types: ${allowed}`;
+          return next(new BadRequestError(message));
+        }
+        if (err) return next(err);
+
+        const stored = [];
+        res.on("finish", () => {
+          if (res.statusCode >= 400) removeStoredFiles(stored);
+        });
+
+        try {
+          for (const field of fields) {
+            const file = req.files && req.files[field] && req.files[field][0];
+            if (!file && storage.owns(req.body[field])) {
+              throw new BadRequestError(
+                `'${field}' must be uploaded as a file or point to an external image`
+              );
+            }
+            if (!file) continue;
+
+            // Check the decoded format too, the declared MIME type is only
+            // what the client claims
+            let metadata;
+            try {
+              metadata = await sharp(file.buffer).metadata();
+            } catch (error) {
+              metadata = {};
+            }
+            const contentType = `image/${metadata.format}`;
+            if (!ALLOWED_IMAGE_TYPES.includes(contentType)) {
+              throw new BadRequestError(
+                `File for '${field}' is not a valid image`
+              );
+            }
+
+            const { width, height } = metadata;
+            if (
+              Math.max(width, height) > MAX_IMAGE_DIMENSION ||
+              Math.min(width, height) < MIN_IMAGE_DIMENSION
+            ) {
+              throw new BadRequestError(
+                `Image for '${field}' must be between ${MIN_IMAGE_DIMENSION} and ${MAX_IMAGE_DIMENSION} pixels on each side`
+              );
+            }
+            const typeError =
+              kind &&
+              req.body.type !== undefined &&
+              contentTypeDimensionsError(kind, req.body.type, metadata);
+            if (typeError) {
+              throw new BadRequestError(`Image for '${field}' ${typeError}`);
+            }
+
+            const extension =
+              metadata.format === "jpeg" ? "jpg" : metadata.format;
+            const key = `${folder}/${crypto.randomUUID()}.${extension}`;
+            const url = await storage.save(key, file.buffer, contentType);
+            stored.push(url);
+            req.body[field] = url;
+          }
+          next();
+        } catch (error) {
+          next(error);
+        }
+      })
+    );
+  };
+};
+
+// IMAGE VARIANTS
+
+const IMAGE_VARIANT_ENCODING = {
+  jpeg: { quality: 80, mozjpeg: true },
+  webp: { quality: 80 },
+  avif: { quality: 50 },
+};
+
+const variantUrls = (doc) => {
+  const { variants = {} } = (doc && doc.toObject ? doc.toObject() : doc) || {};
+  return Object.values(variants).flatMap((formats) =>
+    Object.values(formats || {})
+  );
+};
+
+const encodeImageVariant = (source, size, format) => {
+  // rotate() applies the EXIF orientation, the metadata itself is dropped
+  const image = sharp(source).rotate();
+  if (size) {
+    image.resize({
+      width: size,
+      height: size,
+      fit: "inside",
+      withoutEnlargement: true,
+    });
+  }
+  return image[format](IMAGE_VARIANT_ENCODING[format]).toBuffer();
+};
+
+// Replaces the variants of a pending document. The result is only kept if
+// the image URL did not change in the meantime, the variants of that newer
+// URL are already queued.
+const generateImageVariants = async (model, id, { field, folder }) => {
+  const doc = await model.findById(id).lean();
+  if (!doc || doc.variantsStatus !== "pending") return;
+
+  const source = doc[field];
+  const current = { _id: id, [field]: source, variantsStatus: "pending" };
+  const variants = {};
+  const stored = [];
+
+  try {
+    const buffer = await fetchImage(source);
+    const prefix = `${folder}/variants/${crypto.randomUUID()}`;
+
+    for (const [size, pixels] of Object.entries(IMAGE_VARIANT_SIZES)) {
+      variants[size] = {};
+      for (const format of IMAGE_VARIANT_FORMATS) {
+        const extension = format === "jpeg" ? "jpg" : format;
+        const url = await storage.save(
+          `${prefix}/${size}.${extension}`,
+          await encodeImageVariant(buffer, pixels, format),
+          `image/${format}`
+        );
+        stored.push(url);
+        variants[size][format] = url;
+      }
+    }
+  } catch (error) {
+    await removeStoredFiles(stored);
+    await model.updateOne(current, {
+      $set: { variantsStatus: "failed", variantsError: error.message },
+    });
+    throw error;
+  }
+
+  const { matchedCount } = await model.updateOne(current, {
+    $set: { variants, variantsStatus: "ready" },
+    $unset: { variantsError: "" },
+  });
+  await removeStoredFiles(matchedCount ? variantUrls(doc) : stored);
+};
+
+// Variants are generated one image at a time so that encoding, AVIF in
+// particular, does not starve the requests
+let imageVariantQueue = Promise.resolve();
+
+const queueImageVariants = (model, id, options) => {
+  imageVariantQueue = imageVariantQueue.then(() =>
+    generateImageVariants(model, id, options).catch((error) => {
+      console.error(
+        `Failed to generate variants of ${model.modelName} ${id}:`,
+        error.message
+      );
+    })
+  );
+};
+
+// Picks up work that was interrupted by a restart, and images stored before
+// variants existed
+const resumeImageVariants = async () => {
+  for (const model of [RADashboardImage, Banner]) {
+    await model.updateMany(
+      { variantsStatus: null },
+      { $set: { variantsStatus: "pending" } }
+    );
+    const pending = await model.find({ variantsStatus: "pending" }, "_id");
+    pending.forEach(({ _id }) => model.queueVariants(_id));
+  }
+};
+
+// Swaps imageurl for the variant requested with ?size and ?format. The
+// original is kept while variants are missing or being generated.
+const withImageVariant = (doc, { size, format }) => {
+  if (!doc || (!size && !format)) return doc;
+
+  const json = doc.toJSON ? doc.toJSON() : doc;
+  const url =
+    json.variantsStatus === "ready" &&
+    json.variants &&
+    json.variants[size || "full"] &&
+    json.variants[size || "full"][format || "jpeg"];
+  return url ? { ...json, imageurl: url } : json;
+};
+
+// LIST QUERIES
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+const encodeCursor = (values) =>
+  Buffer.from(JSON.stringify(values)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return Array.isArray(values) ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parses the shared list query parameters:
+//   page/limit          offset paging
+//   cursor              keyset paging, pass an empty cursor for the first page
+//   sort=-createdAt,name  sort fields, "-" for descending, `defaultSort`
+//                       when not given
+//   <field>=a,b         equality filter on the whitelisted `filters`
+//   <field>[gte]=...    range filter on Number and Date fields
+//   fields=name,type    projection
+// Returns { error } when a parameter is invalid.
+const parseListQuery = (
+  Model,
+  query,
+  { filters = [], defaultSort = "-createdAt" } = {}
+) => {
+  const schema = Model.schema;
+  const filterable = [...filters, "createdAt", "updatedAt"];
+  const isRangeable = (field) =>
+    ["Date", "Number"].includes(schema.path(field).instance);
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : +query.limit;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const page = query.page === undefined ? 1 : +query.page;
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "page must be a positive integer" };
+  }
+
+  const sort = [];
+  for (const part of String(query.sort || defaultSort).split(",")) {
+    const field = part.replace(/^-/, "");
+    if (!filterable.includes(field)) {
+      return { error: `Cannot sort by '${field}'` };
+    }
+    sort.push([field, part.startsWith("-") ? -1 : 1]);
+  }
+  // _id breaks ties so that pages and cursors are stable
+  sort.push(["_id", sort[sort.length - 1][1]]);
+
+  const filter = {};
+  for (const field of filterable) {
+    const value = query[field];
+    if (value === undefined) continue;
+
+    if (typeof value === "object" && !Array.isArray(value)) {
+      const operators = Object.keys(value);
+      if (
+        !isRangeable(field) ||
+        operators.some((operator) => !RANGE_OPERATORS.includes(operator))
+      ) {
+        return { error: `Invalid range filter for '${field}'` };
+      }
+      filter[field] = Object.fromEntries(
+        operators.map((operator) => [`$${operator}`, value[operator]])
+      );
+    } else {
+      const values = []
+        .concat(value)
+        .flatMap((item) => String(item).split(","));
+      filter[field] = values.length > 1 ? { $in: values } : values[0];
+    }
+  }
+
+  let projection;
+  if (query.fields) {
+    const fields = String(query.fields).split(",");
+    const unknown = fields.filter((field) => !schema.path(field));
+    if (unknown.length) {
+      return { error: `Unknown fields: ${unknown.join(", ")}` };
+    }
+    // Sort fields are always returned so the next cursor can be built
+    projection = [...new Set([...fields, ...sort.map(([field]) => field)])];
+  }
+
+  let cursor;
+  if (query.cursor !== undefined) {
+    cursor = query.cursor ? decodeCursor(String(query.cursor)) : [];
+    if (!cursor || (cursor.length && cursor.length !== sort.length)) {
+      return { error: "Invalid cursor" };
+    }
+  }
+
+  return { filter, sort, projection, page, limit, cursor };
+};
+
+// Runs a parsed list query and returns { data, pagination }. `baseFilter` is
+// merged in for route-specific conditions. When both filter the same field,
+// e.g. ?minStar=4&star[lte]=5, both conditions apply.
+const findPage = async (Model, listQuery, baseFilter = {}) => {
+  const { sort, projection, page, limit, cursor } = listQuery;
+  const overlaps = Object.keys(baseFilter).some(
+    (field) => field in listQuery.filter
+  );
+  const filter = overlaps
+    ? { $and: [baseFilter, listQuery.filter] }
+    : { ...baseFilter, ...listQuery.filter };
+  const sortSpec = Object.fromEntries(sort);
+
+  if (cursor) {
+    // Documents strictly after the cursor in sort order
+    const after = cursor.length
+      ? {
+          $or: sort.map(([field, direction], index) => ({
+            ...Object.fromEntries(
+              sort.slice(0, index).map(([prev], i) => [prev, cursor[i]])
+            ),
+            [field]: { [direction === 1 ? "$gt" : "$lt"]: cursor[index] },
+          })),
+        }
+      : {};
+
+    const docs = await Model.find({ $and: [filter, after] }, projection)
+      .sort(sortSpec)
+      .limit(limit + 1);
+
+    const hasNextPage = docs.length > limit;
+    const data = docs.slice(0, limit);
+    const last = data[data.length - 1];
+
+    return {
+      data,
+      pagination: {
+        limit,
+        hasNextPage,
+        nextCursor:
+          hasNextPage && last
+            ? encodeCursor(sort.map(([field]) => last.get(field)))
+            : null,
+      },
+    };
+  }
+
+  const [data, total] = await Promise.all([
+    Model.find(filter, projection)
+      .sort(sortSpec)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Model.countDocuments(filter),
+  ]);
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNextPage: page * limit < total,
+    },
+  };
+};
+
+// REQUEST VALIDATION
+
+// Every route is validated against its operation in the swagger spec, so the
+// JSDoc blocks are the single source of truth for what a request may carry.
+// JSON bodies are checked as sent. Path, query and multipart values always
+// arrive as strings and are coerced to the documented types first.
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  // Uploaded files are stored before validation and replaced by their URL
+  ajv.addFormat("binary", true);
+  // Same leniency as the new Date() the handlers parse dates with
+  ajv.addFormat("date-time", (value) => !Number.isNaN(Date.parse(value)));
+  ajv.addFormat("uri", isHttpUrl);
+  ajv.addFormat(
+    "hostname",
+    /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/i
+  );
+  return ajv;
+};
+
+const jsonAjv = createAjv();
+const coercingAjv = createAjv({ coerceTypes: true });
+
+const resolveSpecRef = (node) =>
+  node && node.$ref
+    ? node.$ref
+        .slice(2)
+        .split("/")
+        .reduce((parent, key) => parent[key], swaggerSpec)
+    : node;
+
+// Inlines $refs and, when `closed`, rejects properties that are not
+// documented (or documented as readOnly) unless the schema sets
+// additionalProperties itself
+const inlineSchema = (node, closed) => {
+  const schema = resolveSpecRef(node);
+  if (!schema || typeof schema !== "object") return schema;
+
+  const inlined = { ...schema };
+  if (schema.properties) {
+    inlined.properties = Object.fromEntries(
+      Object.entries(schema.properties)
+        .filter(([, property]) => !(closed && property.readOnly))
+        .map(([name, property]) => [name, inlineSchema(property, closed)])
+    );
+    if (closed && schema.additionalProperties === undefined) {
+      inlined.additionalProperties = false;
+    }
+  }
+  if (schema.items) inlined.items = inlineSchema(schema.items, closed);
+  if (typeof schema.additionalProperties === "object") {
+    inlined.additionalProperties = inlineSchema(
+      schema.additionalProperties,
+      closed
+    );
+  }
+  ["oneOf", "anyOf"].forEach((keyword) => {
+    if (schema[keyword]) {
+      inlined[keyword] = schema[keyword].map((item) =>
+        inlineSchema(item, closed)
+      );
+    }
+  });
+  return inlined;
+};
+
+const parameterSchema = (parameters) => ({
+  type: "object",
+  properties: Object.fromEntries(
+    parameters.map((parameter) => [
+      parameter.name,
+      inlineSchema(parameter.schema || {}),
+    ])
+  ),
+  required: parameters
+    .filter((parameter) => parameter.in === "path" || parameter.required)
+    .map((parameter) => parameter.name),
+});
+
+// Array query parameters are documented with explode: false and may be sent
+// comma separated (type=a,b), repeated (type=a&type=b) or both
+const readParameters = (source, parameters) => {
+  const values = { ...source };
+  parameters.forEach(({ name, schema = {} }) => {
+    if (schema.type === "array" && values[name] !== undefined) {
+      values[name] = []
+        .concat(values[name])
+        .flatMap((item) => String(item).split(","));
+    }
+  });
+  return values;
+};
+
+const describeErrors = (location, errors) =>
+  (errors || []).map(({ keyword, instancePath, params, message }) => {
+    const path = instancePath.split("/").slice(1);
+    if (keyword === "required") path.push(params.missingProperty);
+    if (keyword === "additionalProperties") {
+      path.push(params.additionalProperty);
+      message = "is not allowed";
+    }
+    if (keyword === "enum") {
+      message = `must be one of: ${params.allowedValues.join(", ")}`;
+    }
+    return { in: location, field: path.join(".") || null, message };
+  });
+
+// Returns a function that lists every invalid field of a request
+const compileOperation = (operation = {}) => {
+  const checks = [];
+
+  ["path", "query"].forEach((location) => {
+    const parameters = (operation.parameters || [])
+      .map(resolveSpecRef)
+      .filter((parameter) => parameter.in === location);
+    if (!parameters.length) return;
+
+    const validate = coercingAjv.compile(parameterSchema(parameters));
+    const source = location === "path" ? "params" : "query";
+    checks.push((req) => {
+      // Validate a copy, coercion must not leak into the handlers
+      const values = readParameters(req[source], parameters);
+      return validate(values) ? [] : describeErrors(location, validate.errors);
+    });
+  });
+
+  const requestBody = resolveSpecRef(operation.requestBody);
+  if (requestBody) {
+    const validators = Object.fromEntries(
+      Object.entries(requestBody.content).map(([mediaType, { schema }]) => [
+        mediaType,
+        (mediaType === "application/json" ? jsonAjv : coercingAjv).compile(
+          inlineSchema(schema, true)
+        ),
+      ])
+    );
+    checks.push((req) => {
+      const mediaType = req.is(Object.keys(validators)) || "application/json";
+      const validate = validators[mediaType];
+      if (!validate) return [];
+      // Only form fields are coerced, validate a copy of those
+      const body =
+        mediaType === "multipart/form-data" ? { ...req.body } : req.body;
+      return validate(body) ? [] : describeErrors("body", validate.errors);
+    });
+  }
+
+  return (req) => checks.flatMap((check) => check(req));
+};
+
+const operationValidators = new Map();
+
+// Route middleware, runs after authentication and uploads. Invalid path or
+// query parameters answer 400, an invalid body 422, both with every problem
+// found listed in the error details.
+const validateRequest = (req, res, next) => {
+  const method = req.method === "HEAD" ? "get" : req.method.toLowerCase();
+  const route = req.route.path.replace(/:(\w+)/g, "{$1}");
+  const key = `${method} ${route}`;
+
+  if (!operationValidators.has(key)) {
+    const pathItem = swaggerSpec.paths[route] || {};
+    operationValidators.set(key, compileOperation(pathItem[method]));
+  }
+
+  const errors = operationValidators.get(key)(req);
+  if (!errors.length) return next();
+
+  next(
+    errors.some((error) => error.in !== "body")
+      ? new BadRequestError("Invalid request parameters", errors)
+      : new ValidationError("Validation failed", errors)
+  );
+};
+
+/**
+ * @swagger
+ * /ra-dashboard/image:
+ *   post:
+ *     summary: Add a new image for RA Dashboard
+ *     tags: [RADashboardImage]
+ *     security:
+ *       - adminAuth: []
+ *       - expertAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [expertId, imageurl, type, name]
+ *             properties:
+ *               expertId:
+ *                 type: string
+ *               imageurl:
+ *                 type: string
+ *                 description: URL of an externally hosted image
+ *               type:
+ *                 $ref: '#/components/schemas/ImageType'
+ *               name:
+ *                 type: string
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [expertId, imageurl, type, name]
+ *             properties:
+ *               expertId:
+ *                 type: string
+ *               imageurl:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image file (JPEG, PNG or WebP)
+ *               type:
+ *                 $ref: '#/components/schemas/ImageType'
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Image added successfully
+ *       422:
+ *         description: Missing, unknown or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/ra-dashboard/image",
+  authenticate,
+  authorize("admin", "expert"),
+  uploadImages("ra-dashboard", "imageurl"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { expertId, imageurl, type, name } = req.body;
+
+    if (!isOwner(req.user, expertId)) {
+      throw new ForbiddenError("You can only add images for your own expertId");
+    }
+
+    const newImage = new RADashboardImage({
+      expertId,
+      imageurl,
+      type,
+      name,
+    });
+
+    await newImage.save();
+
+    res.status(201).json({
+      message: "Image added successfully",
+      data: newImage,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /ra-dashboard/image/{id}:
+ *   patch:
+ *     summary: Update an image by its ObjectId
+ *     tags: [RADashboardImage]
+ *     security:
+ *       - adminAuth: []
+ *       - expertAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: The ObjectId of the image to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RADashboardImageUpdate'
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               imageurl:
+ *                 type: string
+ *                 format: binary
+ *                 description: Replacement image file
+ *               type:
+ *                 $ref: '#/components/schemas/ImageType'
+ *               name:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *               pinned:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Image updated successfully
+ *       404:
+ *         description: Image not found
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error
+ */
+router.patch(
+  "/ra-dashboard/image/:id",
+  authenticate,
+  authorize("admin", "expert"),
+  uploadImages("ra-dashboard", "imageurl"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    const image = await RADashboardImage.findById(id);
+
+    if (!image) {
+      throw new NotFoundError(`No image found with id '${id}'`);
+    }
+
+    if (
+      !isOwner(req.user, image.expertId) ||
+      (updateData.expertId && !isOwner(req.user, updateData.expertId))
+    ) {
+      throw new ForbiddenError("You can only modify your own images");
+    }
+
+    const updatedImage = await RADashboardImage.findByIdAndUpdate(
+      id,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedImage) {
+      throw new NotFoundError(`No image found with id '${id}'`);
+    }
+
+    if (updatedImage.imageurl !== image.imageurl) {
+      await removeStoredFiles([image.imageurl]);
+    }
+
+    res.status(200).json({
+      message: "Image updated successfully",
+      data: updatedImage,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /ra-dashboard/image/{id}:
+ *   delete:
+ *     summary: Delete an image by its ObjectId
+ *     tags: [RADashboardImage]
+ *     security:
+ *       - adminAuth: []
+ *       - expertAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: The ObjectId of the image to delete
+ *     responses:
+ *       200:
+ *         description: Image deleted successfully
+ *       404:
+ *         description: Image not found
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/ra-dashboard/image/:id",
+  authenticate,
+  authorize("admin", "expert"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const image = await RADashboardImage.findById(id);
+
+    if (!image) {
+      throw new NotFoundError(`No image found with id '${id}'`);
+    }
+
+    if (!isOwner(req.user, image.expertId)) {
+      throw new ForbiddenError("You can only delete your own images");
+    }
+
+    // Stored files are kept until the item is purged from the trash
+    const deletedImage = await RADashboardImage.softDeleteById(id);
+
+    res.status(200).json({
+      message: "Image deleted successfully",
+      data: deletedImage,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /ra-dashboard/images:
+ *   get:
+ *     summary: Get all images for RA Dashboard
+ *     tags: [RADashboardImage]
+ *     description: Sorted pinned first, then by position, unless `sort` is given.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/CreatedAtRange'
+ *       - in: query
+ *         name: expertId
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: type
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ImageType'
+ *       - in: query
+ *         name: name
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: pinned
+ *         schema:
+ *           type: boolean
+ *       - $ref: '#/components/parameters/ImageSize'
+ *       - $ref: '#/components/parameters/ImageFormat'
+ *     responses:
+ *       200:
+ *         description: A page of images
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RADashboardImage'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/ra-dashboard/images",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const listQuery = parseListQuery(RADashboardImage, req.query, {
+      filters: ["expertId", "type", "name", "pinned", "position"],
+      defaultSort: ORDER_SORT,
+    });
+    if (listQuery.error) {
+      throw new BadRequestError(listQuery.error);
+    }
+
+    const { data, pagination } = await findPage(RADashboardImage, listQuery);
+    res.status(200).json({
+      message: "Images retrieved successfully",
+      data: data.map((image) => withImageVariant(image, req.query)),
+      pagination,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RADashboardImage:
+ *       type: object
+ *       required:
+ *         - expertId
+ *         - imageurl
+ *         - type
+ *         - name
+ *       properties:
+ *         expertId:
+ *           type: string
+ *           description: The expert's ID
+ *         imageurl:
+ *           type: string
+ *           description: The URL of the image
+ *         type:
+ *           $ref: '#/components/schemas/ImageType'
+ *         name:
+ *           type: string
+ *           description: The name of the image
+ *         position:
+ *           type: integer
+ *           default: 0
+ *           description: Manual display order, lowest first
+ *         pinned:
+ *           type: boolean
+ *           default: false
+ *           description: Pinned images are shown before all others
+ *         tenantId:
+ *           type: string
+ *           readOnly: true
+ *           description: The tenant the image belongs to
+ *         sourceImageId:
+ *           type: string
+ *           readOnly: true
+ *           description: Blur teasers only, the premium image they belong to
+ *         blur:
+ *           type: object
+ *           readOnly: true
+ *           description: Blur teasers only, the settings they were made with
+ *           properties:
+ *             radius:
+ *               type: integer
+ *             watermark:
+ *               type: string
+ *         variants:
+ *           type: object
+ *           readOnly: true
+ *           description: >
+ *             Generated copies of the image by size (thumbnail, medium, full)
+ *             and format (jpeg, webp, avif)
+ *           additionalProperties:
+ *             type: object
+ *             additionalProperties:
+ *               type: string
+ *         variantsStatus:
+ *           type: string
+ *           enum: [pending, ready, failed]
+ *           readOnly: true
+ */
+
+/**
+ * @swagger
+ * /ra-dashboard/images/{expertId}:
+ *   get:
+ *     summary: Get all posters by ExpertID
+ *     tags: [RADashboardImage]
+ *     parameters:
+ *       - in: path
+ *         name: expertId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The expertId of the posters
+ *       - $ref: '#/components/parameters/ImageSize'
+ *       - $ref: '#/components/parameters/ImageFormat'
+ *     responses:
+ *       200:
+ *         description: Images for the given ExpertID retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RADashboardImage'
+ *       404:
+ *         description: No images found for the provided expert ID
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/ra-dashboard/images/:expertId",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { expertId } = req.params;
+    const images = await RADashboardImage.find({ expertId }).sort({
+      pinned: -1,
+      position: 1,
+      createdAt: -1,
+    });
+
+    if (!images.length) {
+      throw new NotFoundError(`No images found for expertId '${expertId}'`);
+    }
+
+    res.status(200).json({
+      message: `Images for expertId '${expertId}' fetched successfully`,
+      data: images.map((image) => withImageVariant(image, req.query)),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RAImageGroup:
+ *       type: object
+ *       properties:
+ *         count:
+ *           type: integer
+ *         latest:
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/RADashboardImage'
+ *         items:
+ *           type: array
+ *           description: Pinned first, then by position
+ *           items:
+ *             $ref: '#/components/schemas/RADashboardImage'
+ *     RAOverview:
+ *       type: object
+ *       properties:
+ *         expertId:
+ *           type: string
+ *         totalImages:
+ *           type: integer
+ *           description: Sum of the group counts
+ *         images:
+ *           type: object
+ *           description: >
+ *             One group for every registered image type keyed by the type,
+ *             empty groups included
+ *           additionalProperties:
+ *             $ref: '#/components/schemas/RAImageGroup'
+ *         templates:
+ *           type: array
+ *           description: Message templates whose raid is the expertId
+ *           items:
+ *             $ref: '#/components/schemas/MessageTemplate'
+ *
+ * /ra-dashboard/{expertId}/overview:
+ *   get:
+ *     summary: Everything the RA dashboard shows for an expert
+ *     description: >
+ *       Images grouped by type with counts and the latest image of each
+ *       type, plus the expert's message templates. Experts without any
+ *       content get the same shape with empty groups.
+ *     tags: [RADashboardImage]
+ *     parameters:
+ *       - in: path
+ *         name: expertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ImageSize'
+ *       - $ref: '#/components/parameters/ImageFormat'
+ *     responses:
+ *       200:
+ *         description: The dashboard overview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/RAOverview'
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/ra-dashboard/:expertId/overview",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { expertId } = req.params;
+    // Images of types removed from the registry belong to no group
+    const types = [...contentTypes.get("image").keys()];
+
+    const [images, templates] = await Promise.all([
+      RADashboardImage.find({ expertId, type: { $in: types } }).sort({
+        pinned: -1,
+        position: 1,
+        createdAt: -1,
+      }),
+      MessageTemplate.find({ raid: expertId }).sort({ createdAt: -1 }),
+    ]);
+
+    const groups = Object.fromEntries(
+      types.map((type) => {
+        const items = images
+          .filter((image) => image.type === type)
+          .map((image) => withImageVariant(image, req.query));
+        const latest = items.reduce(
+          (newest, image) =>
+            !newest || image.createdAt > newest.createdAt ? image : newest,
+          null
+        );
+        return [type, { count: items.length, latest, items }];
+      })
+    );
+
+    res.status(200).json({
+      message: `Overview for expertId '${expertId}' fetched successfully`,
+      data: {
+        expertId,
+        totalImages: images.length,
+        images: groups,
+        templates,
+      },
+    });
+  })
+);
+
+// BLUR TEASERS
+
+const BLUR_DEFAULT_RADIUS = 25;
+
+// Blurs a premium image and writes the watermark across its middle
+const renderBlurTeaser = async (source, { radius, watermark }) => {
+  const { data, info } = await sharp(source)
+    .rotate()
+    .blur(radius)
+    .toBuffer({ resolveWithObject: true });
+
+  const layers = [];
+  if (watermark) {
+    const band = textBand(watermark, {
+      width: info.width,
+      fontSize: Math.max(MIN_BAND_FONT_SIZE, Math.round(info.width / 14)),
+      maxHeight: info.height,
+    });
+    if (band) {
+      layers.push({
+        input: band.input,
+        left: 0,
+        top: Math.round((info.height - band.height) / 2),
+      });
+    }
+  }
+
+  return sharp(data).composite(layers).jpeg({ quality: 80 }).toBuffer();
+};
+
+// Renders the teaser of a premium image and stores it on the linked blur
+// image, which is created on first use. Settings that are not given are
+// kept from the previous teaser. Resolves with { teaser, created }.
+const generateBlurTeaser = async (
+  premium,
+  { radius, watermark, name } = {}
+) => {
+  const existing = await RADashboardImage.findOne({
+    sourceImageId: premium._id,
+    type: "blur",
+  });
+  const previous = (existing && existing.blur) || {};
+  const settings = {
+    radius: radius || previous.radius || BLUR_DEFAULT_RADIUS,
+    watermark: watermark !== undefined ? watermark : previous.watermark,
+  };
+
+  let buffer;
+  try {
+    buffer = await renderBlurTeaser(
+      await fetchImage(premium.imageurl),
+      settings
+    );
+  } catch (error) {
+    if (error.message.startsWith("Failed to fetch image")) {
+      throw new BadGatewayError(error.message);
+    }
+    throw error;
+  }
+
+  const imageurl = await storage.save(
+    `ra-dashboard/blur/${crypto.randomUUID()}.jpg`,
+    buffer,
+    "image/jpeg"
+  );
+
+  const previousUrl = existing && existing.imageurl;
+  const teaser =
+    existing ||
+    new RADashboardImage({
+      tenantId: premium.tenantId,
+      expertId: premium.expertId,
+      type: "blur",
+      name: `${premium.name} (blur)`,
+      sourceImageId: premium._id,
+    });
+  teaser.set({ imageurl, blur: settings, ...(name && { name }) });
+
+  try {
+    await teaser.save();
+  } catch (error) {
+    await removeStoredFiles([imageurl]);
+    throw error;
+  }
+  if (previousUrl) await removeStoredFiles([previousUrl]);
+
+  return { teaser, created: !existing };
+};
+
+// Called in the background once a premium image with a teaser was replaced
+const queueBlurRefresh = (premiumId) => {
+  setImmediate(async () => {
+    try {
+      const premium = await RADashboardImage.findById(premiumId);
+      if (
+        premium &&
+        premium.type === "premium" &&
+        (await RADashboardImage.exists({ sourceImageId: premiumId }))
+      ) {
+        await generateBlurTeaser(premium);
+      }
+    } catch (error) {
+      console.error(
+        `Failed to refresh the blur teaser of image ${premiumId}:`,
+        error.message
+      );
+    }
+  });
+};
+
+// Deletes the teasers of a premium image that was deleted, or restores them
+// when it was restored
+const syncBlurTeaserDeletion = async (premiumId, deletedAt) => {
+  const teasers = await RADashboardImage.find(
+    { sourceImageId: premiumId, deletedAt: deletedAt ? null : { $ne: null } },
+    "_id"
+  );
+  for (const { _id } of teasers) {
+    await (deletedAt
+      ? RADashboardImage.softDeleteById(_id)
+      : RADashboardImage.restoreById(_id));
+  }
+};
+
+/**
+ * @swagger
+ * /ra-dashboard/image/{id}/blur:
+ *   post:
+ *     summary: Generate the blur teaser of a premium image
+ *     description: >
+ *       Creates a linked image of type blur from a blurred copy of the
+ *       premium image, or regenerates it when it already exists. Settings
+ *       that are left out keep their previous value. The teaser is
+ *       regenerated when the premium image is replaced, and deleted or
+ *       restored along with it.
+ *     tags: [RADashboardImage]
+ *     security:
+ *       - adminAuth: []
+ *       - expertAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: The ObjectId of the premium image
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               radius:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 25
+ *                 description: Blur strength (Gaussian sigma)
+ *               watermark:
+ *                 type: string
+ *                 maxLength: 60
+ *                 description: Text written across the teaser, empty for none
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the premium name plus "(blur)"
+ *     responses:
+ *       201:
+ *         description: Blur image created
+ *       200:
+ *         description: Blur image regenerated
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       404:
+ *         description: Image not found
+ *       409:
+ *         description: The image is not a premium image
+ *       422:
+ *         description: Invalid settings
+ *       502:
+ *         description: The premium image could not be fetched
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/ra-dashboard/image/:id/blur",
+  authenticate,
+  authorize("admin", "expert"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const premium = await RADashboardImage.findById(id);
+
+    if (!premium) {
+      throw new NotFoundError(`No image found with id '${id}'`);
+    }
+    if (!isOwner(req.user, premium.expertId)) {
+      throw new ForbiddenError("You can only blur your own images");
+    }
+    if (premium.type !== "premium") {
+      throw new ConflictError(
+        `Only premium images can be blurred, this one is ${premium.type}`
+      );
+    }
+
+    const { teaser, created } = await generateBlurTeaser(premium, req.body);
+
+    res.status(created ? 201 : 200).json({
+      message: created
+        ? "Blur image created successfully"
+        : "Blur image regenerated successfully",
+      data: teaser,
+    });
+  })
+);
+
+// ADMIN DASHBOARD API'S
+
+/**
+ * @swagger
+ * /admin/poster:
+ *   post:
+ *     summary: Add a new poster
+ *     tags: [AdminPoster]
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [image1url, image2url, type, name]
+ *             properties:
+ *               image1url:
+ *                 type: string
+ *               image2url:
+ *                 type: string
+ *               type:
+ *                 $ref: '#/components/schemas/PosterType'
+ *               name:
+ *                 type: string
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image1url, image2url, type, name]
+ *             properties:
+ *               image1url:
+ *                 type: string
+ *                 format: binary
+ *                 description: First image file
+ *               image2url:
+ *                 type: string
+ *                 format: binary
+ *                 description: Second image file
+ *               type:
+ *                 $ref: '#/components/schemas/PosterType'
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Poster added successfully
+ *       422:
+ *         description: Missing, unknown or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error
+ */
+router.post(
+  "/admin/poster",
+  authenticate,
+  authorize("admin"),
+  uploadImages("posters", "image1url", "image2url"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { image1url, image2url, type, name } = req.body;
+
+    const newPoster = new Poster({
+      image1url,
+      image2url,
+      type,
+      name,
+    });
+
+    await newPoster.save();
+
+    res.status(201).json({
+      message: "Poster added successfully",
+      data: newPoster,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminPoster:
+ *       type: object
+ *       required:
+ *         - image1url
+ *         - image2url
+ *         - type
+ *         - name
+ *       properties:
+ *         image1url:
+ *           type: string
+ *           description: URL of the first image
+ *         image2url:
+ *           type: string
+ *           description: URL of the second image
+ *         type:
+ *           $ref: '#/components/schemas/PosterType'
+ *         name:
+ *           type: string
+ *           description: Name of the poster
+ *         position:
+ *           type: integer
+ *           default: 0
+ *           description: Manual display order, lowest first
+ *         pinned:
+ *           type: boolean
+ *           default: false
+ *           description: Pinned posters are shown before all others
+ *         tenantId:
+ *           type: string
+ *           readOnly: true
+ *           description: The tenant the poster belongs to
+ *         status:
+ *           type: string
+ *           enum: [draft, in_review, approved, published, archived]
+ *           readOnly: true
+ *           description: Publishing status, changed through the workflow actions
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         reviews:
+ *           type: array
+ *           readOnly: true
+ *           description: Workflow actions and reviewer comments, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/Review'
+ */
+
+/**
+ * @swagger
+ * /admin/posters:
+ *   get:
+ *     summary: Get all posters
+ *     tags: [AdminPoster]
+ *     description: >
+ *       Only published posters, unless an admin token is sent. Sorted pinned
+ *       first, then by position, unless `sort` is given.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/CreatedAtRange'
+ *       - in: query
+ *         name: type
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PosterType'
+ *       - in: query
+ *         name: name
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: pinned
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: status
+ *         style: form
+ *         explode: false
+ *         description: Admins only, everyone else only sees published posters
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [draft, in_review, approved, published, archived]
+ *     responses:
+ *       200:
+ *         description: A page of posters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminPoster'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/admin/posters",
+  optionalAuthenticate,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const listQuery = parseListQuery(Poster, req.query, {
+      filters: ["type", "name", "pinned", "position", "status"],
+      defaultSort: ORDER_SORT,
+    });
+    if (listQuery.error) {
+      throw new BadRequestError(listQuery.error);
+    }
+    Object.assign(listQuery.filter, publishedFilter(req.user));
+
+    const { data, pagination } = await findPage(Poster, listQuery);
+    res.status(200).json({
+      message: "Posters retrieved successfully",
+      data,
+      pagination,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/poster/{id}:
+ *   delete:
+ *     summary: Delete a poster by its ID
+ *     tags: [AdminPoster]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: The ID of the poster to delete
+ *     responses:
+ *       200:
+ *         description: Poster deleted successfully
+ *       404:
+ *         description: Poster not found
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error
+ */
+router.delete(
+  "/admin/poster/:id",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deletedPoster = await Poster.softDeleteById(id);
+
+    if (!deletedPoster) {
+      throw new NotFoundError(`No poster found with id '${id}'`);
+    }
+
+    res.status(200).json({
+      message: "Poster deleted successfully",
+      data: deletedPoster,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /admin/poster/{id}:
+ *   patch:
+ *     summary: Update a poster by its ID
+ *     description: >
+ *       Changing anything but `pinned` or `position` of an approved or
+ *       published poster takes it offline and back to `in_review`.
+ *     tags: [AdminPoster]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: The ID of the poster to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AdminPosterUpdate'
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               image1url:
+ *                 type: string
+ *                 format: binary
+ *                 description: Replacement first image file
+ *               image2url:
+ *                 type: string
+ *                 format: binary
+ *                 description: Replacement second image file
+ *               type:
+ *                 $ref: '#/components/schemas/PosterType'
+ *               name:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *               pinned:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Poster updated successfully
+ *       404:
+ *         description: Poster not found
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error
+ */
+router.patch(
+  "/admin/poster/:id",
+  authenticate,
+  authorize("admin"),
+  uploadImages("posters", "image1url", "image2url"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    const poster = await Poster.findById(id);
+
+    if (!poster) {
+      throw new NotFoundError(`No poster found with id '${id}'`);
+    }
+
+    const updatedPoster = await Poster.findByIdAndUpdate(
+      id,
+      Poster.editUpdate(poster, updateData, req.user),
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedPoster) {
+      throw new NotFoundError(`No poster found with id '${id}'`);
+    }
+
+    await removeStoredFiles(
+      ["image1url", "image2url"]
+        .filter((field) => updatedPoster[field] !== poster[field])
+        .map((field) => poster[field])
+    );
+
+    res.status(200).json({
+      message: "Poster updated successfully",
+      data: updatedPoster,
+    });
+  })
+);
+
+// POSTER RENDERING
+
+// Canvas size and the box each image is cropped into, keyed by poster type:
+// 1 = side by side, 2 = stacked, 3 = image2 inset over image1
+const POSTER_LAYOUTS = {
+  1: {
+    width: 1080,
+    height: 1080,
+    slots: [
+      { left: 0, top: 0, width: 540, height: 1080 },
+      { left: 540, top: 0, width: 540, height: 1080 },
+    ],
+  },
+  2: {
+    width: 1080,
+    height: 1350,
+    slots: [
+      { left: 0, top: 0, width: 1080, height: 675 },
+      { left: 0, top: 675, width: 1080, height: 675 },
+    ],
+  },
+  3: {
+    width: 1080,
+    height: 1080,
+    slots: [
+      { left: 0, top: 0, width: 1080, height: 1080 },
+      { left: 680, top: 680, width: 360, height: 360 },
+    ],
+  },
+};
+
+const POSTER_RENDER_CACHE_SIZE =
+  Number(process.env.POSTER_RENDER_CACHE_SIZE) || 50;
+
+// Least recently used entries are evicted first. Keys include the
+// updatedAt of the poster and template, so edits never serve stale output.
+const posterRenderCache = new Map();
+
+const getCachedRender = (key) => {
+  const entry = posterRenderCache.get(key);
+  if (entry) {
+    posterRenderCache.delete(key);
+    posterRenderCache.set(key, entry);
+  }
+  return entry;
+};
+
+const setCachedRender = (key, entry) => {
+  posterRenderCache.set(key, entry);
+  if (posterRenderCache.size > POSTER_RENDER_CACHE_SIZE) {
+    posterRenderCache.delete(posterRenderCache.keys().next().value);
+  }
+};
+
+const FETCH_IMAGE_TIMEOUT_MS =
+  Number(process.env.FETCH_IMAGE_TIMEOUT_MS) || 15 * 1000;
+const MAX_FETCH_IMAGE_SIZE =
+  Number(process.env.MAX_FETCH_IMAGE_SIZE) || 4 * MAX_UPLOAD_SIZE;
+const MAX_FETCH_IMAGE_REDIRECTS = 3;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and
+// reserved ranges. Source URLs come from users, so the server must never be
+// made to fetch from its own network.
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, "ipv6")
+);
+
+// BlockList also matches IPv4-mapped IPv6 addresses against the IPv4 ranges
+const isPublicAddress = (address) =>
+  !NON_PUBLIC_ADDRESSES.check(address, net.isIPv4(address) ? "ipv4" : "ipv6");
+
+// Source images may be hosted anywhere, so only http(s) is allowed, hosts
+// must resolve to public addresses and both the time taken and the size
+// read are capped. Redirects are followed by hand so every hop is checked.
+// Files in our own storage skip the address check. Every failure is a
+// "Failed to fetch image" error, which the routes answer with a 502.
+const fetchImage = async (url) => {
+  const fail = (reason) =>
+    new Error(`Failed to fetch image '${url}' (${reason})`);
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    throw fail("invalid URL");
+  }
+
+  try {
+    const signal = AbortSignal.timeout(FETCH_IMAGE_TIMEOUT_MS);
+    let response;
+
+    for (let redirects = 0; ; redirects += 1) {
+      if (target.protocol !== "http:" && target.protocol !== "https:") {
+        throw fail(`unsupported protocol ${target.protocol}`);
+      }
+      if (!storage.owns(target.href)) {
+        const host = target.hostname.replace(/^\[|\]$/g, "");
+        const addresses = await dns.lookup(host, { all: true });
+        if (!addresses.every(({ address }) => isPublicAddress(address))) {
+          throw fail(`${host} is not a public address`);
+        }
+      }
+
+      response = await fetch(target, { signal, redirect: "manual" });
+      const location = response.headers.get("location");
+      if (response.status < 300 || response.status >= 400 || !location) {
+        break;
+      }
+      await response.body?.cancel();
+      if (redirects === MAX_FETCH_IMAGE_REDIRECTS) {
+        throw fail("too many redirects");
+      }
+      target = new URL(location, target);
+    }
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw fail(response.status);
+    }
+    if (Number(response.headers.get("content-length")) > MAX_FETCH_IMAGE_SIZE) {
+      await response.body?.cancel();
+      throw fail(`larger than ${MAX_FETCH_IMAGE_SIZE} bytes`);
+    }
+
+    // The header may be missing or wrong, count what is actually read
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+      size += chunk.length;
+      // Leaving the loop cancels the rest of the body
+      if (size > MAX_FETCH_IMAGE_SIZE) {
+        throw fail(`larger than ${MAX_FETCH_IMAGE_SIZE} bytes`);
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  } catch (error) {
+    if (error.message.startsWith("Failed to fetch image")) throw error;
+    throw fail(error.name === "TimeoutError" ? "timed out" : error.message);
+  }
+};
+
+const escapeXml = (text) =>
+  text.replace(
+    /[<>&'"]/g,
+    (char) =>
+      ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[
+        char
+      ])
+  );
+
+// Greedy word wrap using an average glyph width, good enough for captions
+const wrapText = (text, fontSize, maxWidth) => {
+  const maxChars = Math.max(Math.floor(maxWidth / (fontSize * 0.55)), 1);
+  const lines = [];
+  let line = "";
+
+  text.split(/\s+/).forEach((word) => {
+    if (line && `${line} ${word}`.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+
+  return lines;
+};
+
+const MIN_BAND_FONT_SIZE = 16;
+
+// Builds an SVG band with white text on a translucent background. The font
+// shrinks until every line fits the width and the band fits maxHeight,
+// null when the text does not fit even at the smallest size.
+const textBand = (text, { width, fontSize, maxHeight = Infinity }) => {
+  let size = fontSize;
+  let lineHeight, padding, lines, height;
+  for (; size >= MIN_BAND_FONT_SIZE; size = Math.floor(size * 0.9)) {
+    lineHeight = Math.round(size * 1.3);
+    padding = Math.round(size * 0.6);
+    const maxWidth = width - padding * 2;
+    lines = wrapText(text, size, maxWidth);
+    height = lines.length * lineHeight + padding * 2;
+    if (
+      height <= maxHeight &&
+      lines.every((line) => line.length * size * 0.55 <= maxWidth)
+    ) {
+      break;
+    }
+  }
+  if (size < MIN_BAND_FONT_SIZE) return null;
+
+  const tspans = lines
+    .map(
+      (line, index) =>
+        `<tspan x="50%" y="${padding + lineHeight * index + size}">${escapeXml(
+          line
+        )}</tspan>`
+    )
+    .join("");
+
+  const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <rect width="100%" height="100%" fill="rgba(0,0,0,0.55)"/>
+    <text fill="#ffffff" font-family="sans-serif" font-size="${size}" text-anchor="middle">${tspans}</text>
+  </svg>`;
+
+  return { input: Buffer.from(svg), height };
+};
+
+const stripHtml = (text) =>
+  text
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Heading and footer may take a third of the poster each, so they never
+// overlap
+const renderPoster = async (poster, template, values, format) => {
+  const layout = POSTER_LAYOUTS[poster.type];
+  const sources = await Promise.all([
+    fetchImage(poster.image1url),
+    fetchImage(poster.image2url),
+  ]);
+
+  const layers = await Promise.all(
+    layout.slots.map(async (slot, index) => ({
+      input: await sharp(sources[index])
+        .resize(slot.width, slot.height, { fit: "cover" })
+        .toBuffer(),
+      left: slot.left,
+      top: slot.top,
+    }))
+  );
+
+  if (template) {
+    // Markup is dropped before substituting, so values are drawn verbatim
+    const [heading, footer] = [
+      template.headingcontent,
+      template.footercontent,
+    ].map((content) =>
+      renderTemplateContent(stripHtml(content || ""), values, "text")
+    );
+    const maxHeight = Math.floor(layout.height / 3);
+
+    const fitBand = (text, fontSize, section) => {
+      const band = textBand(text, { width: layout.width, fontSize, maxHeight });
+      if (!band) {
+        throw new ValidationError(
+          `The template ${section} is too long to fit on the poster`,
+          { section, maxHeight }
+        );
+      }
+      return band;
+    };
+
+    if (heading) {
+      const band = fitBand(heading, 48, "heading");
+      layers.push({ input: band.input, left: 0, top: 0 });
+    }
+    if (footer) {
+      const band = fitBand(footer, 32, "footer");
+      layers.push({
+        input: band.input,
+        left: 0,
+        top: layout.height - band.height,
+      });
+    }
+  }
+
+  const canvas = sharp({
+    create: {
+      width: layout.width,
+      height: layout.height,
+      channels: 3,
+      background: "#ffffff",
+    },
+  }).composite(layers);
+
+  return format === "jpeg"
+    ? canvas.jpeg({ quality: 90 }).toBuffer()
+    : canvas.png().toBuffer();
+};
+
+/**
+ * @swagger
+ * /admin/poster/{id}/render:
+ *   get:
+ *     summary: Render a poster into a single image
+ *     description: >
+ *       Combines image1 and image2 using the layout for the poster type
+ *       (1 = side by side, 2 = stacked, 3 = image2 inset over image1).
+ *       When templateId is given, the template's heading and footer content
+ *       are overlaid at the top and bottom, with its placeholders filled
+ *       from `variables`. Text that is too long is set in a smaller font.
+ *       Rendered output is cached.
+ *       Unpublished posters can only be rendered with an admin token.
+ *     tags: [AdminPoster]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: The ID of the poster to render
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, jpeg]
+ *           default: png
+ *       - in: query
+ *         name: templateId
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: ID of a message template to overlay
+ *       - in: query
+ *         name: variables
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *         description: >
+ *           Values for the template placeholders, e.g.
+ *           `variables[expertName]=Jane`
+ *     responses:
+ *       200:
+ *         description: The rendered poster
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid ID or format
+ *       404:
+ *         description: Poster or template not found
+ *       409:
+ *         description: There is no layout for the type of the poster yet
+ *       422:
+ *         description: >
+ *           The variables do not match the template declaration, or the
+ *           heading or footer does not fit on the poster
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: One of the source images could not be fetched
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/admin/poster/:id/render",
+  optionalAuthenticate,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { templateId } = req.query;
+    const values = req.query.variables || {};
+    const format = req.query.format || "png";
+
+    const poster = await Poster.findOne({
+      _id: id,
+      ...publishedFilter(req.user),
+    });
+
+    if (!poster) {
+      throw new NotFoundError(`No poster found with id '${id}'`);
+    }
+    // Types added through the registry have no layout until one is coded
+    if (!POSTER_LAYOUTS[poster.type]) {
+      throw new ConflictError(
+        `Posters of type ${poster.type} cannot be rendered yet`
+      );
+    }
+
+    let template = null;
+    if (templateId) {
+      template = await MessageTemplate.findById(templateId);
+      if (!template) {
+        throw new NotFoundError(`No template found with id '${templateId}'`);
+      }
+      const variableErrors = templateVariableErrors(template, values);
+      if (variableErrors) {
+        throw new ValidationError(
+          "Template variables do not match the template declaration",
+          variableErrors
+        );
+      }
+    }
+
+    const cacheKey = [
+      id,
+      poster.updatedAt.getTime(),
+      templateId || "",
+      template ? template.updatedAt.getTime() : "",
+      template ? new URLSearchParams(Object.entries(values).sort()) : "",
+      format,
+    ].join(":");
+
+    let rendered = getCachedRender(cacheKey);
+
+    if (!rendered) {
+      let buffer;
+      try {
+        buffer = await renderPoster(poster, template, values, format);
+      } catch (error) {
+        if (error.message.startsWith("Failed to fetch image")) {
+          throw new BadGatewayError(error.message);
+        }
+        throw error;
+      }
+
+      rendered = {
+        buffer,
+        etag: `"${crypto.createHash("sha1").update(buffer).digest("hex")}"`,
+      };
+      setCachedRender(cacheKey, rendered);
+    }
+
+    // Express answers conditional requests with a 304 based on the ETag
+    res
+      .status(200)
+      .set({
+        "Content-Type": `image/${format}`,
+        // Previews of unpublished posters must not end up in shared caches
+        "Cache-Control":
+          poster.status === "published"
+            ? "public, max-age=300"
+            : "private, no-cache",
+        ETag: rendered.etag,
+      })
+      .send(rendered.buffer);
+  })
+);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Banner
+ *   description: Banner management API
+ *
+ * /banner:
+ *   get:
+ *     summary: Retrieve all banners
+ *     description: >
+ *       Includes scheduled and expired banners, and with an admin token also
+ *       unpublished ones. Use /banner/active for the banners that should be
+ *       shown to users. Sorted pinned first, then by position, unless `sort`
+ *       is given.
+ *     tags: [Banner]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/CreatedAtRange'
+ *       - in: query
+ *         name: type
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BannerType'
+ *       - in: query
+ *         name: name
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: pinned
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: status
+ *         style: form
+ *         explode: false
+ *         description: Admins only, everyone else only sees published banners
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [draft, in_review, approved, published, archived]
+ *       - $ref: '#/components/parameters/ImageSize'
+ *       - $ref: '#/components/parameters/ImageFormat'
+ *     responses:
+ *       200:
+ *         description: A page of banners
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Banner'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ *
+ *   post:
+ *     summary: Create a new banner
+ *     tags: [Banner]
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BannerInput'
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - imageurl
+ *               - name
+ *             properties:
+ *               type:
+ *                 $ref: '#/components/schemas/BannerType'
+ *               imageurl:
+ *                 type: string
+ *                 format: binary
+ *                 description: Banner image file
+ *               name:
+ *                 type: string
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               priority:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Banner created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Banner'
+ *       400:
+ *         description: Invalid input data
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error
+ *
+ * /banner/active:
+ *   get:
+ *     summary: Retrieve the banners that are live right now
+ *     description: >
+ *       Returns published banners whose startsAt/endsAt window contains the
+ *       current time. Pinned banners come first, then by priority (highest
+ *       first), position and newest first.
+ *     tags: [Banner]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           $ref: '#/components/schemas/BannerType'
+ *         description: Only return banners of this type
+ *       - $ref: '#/components/parameters/ImageSize'
+ *       - $ref: '#/components/parameters/ImageFormat'
+ *     responses:
+ *       200:
+ *         description: A list of live banners
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Banner'
+ *       500:
+ *         description: Server error
+ *
+ * /banner/{id}:
+ *   get:
+ *     summary: Retrieve a banner by ID
+ *     description: Unpublished banners are only returned to admins.
+ *     tags: [Banner]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: The ID of the banner to retrieve
+ *       - $ref: '#/components/parameters/ImageSize'
+ *       - $ref: '#/components/parameters/ImageFormat'
+ *     responses:
+ *       200:
+ *         description: Banner retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Banner'
+ *       404:
+ *         description: Banner not found
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Delete a banner by its ID
+ *     tags: [Banner]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: The ID of the banner to delete
+ *     responses:
+ *       200:
+ *         description: Banner deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Banner'
+ *       404:
+ *         description: Banner not found
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error
+ *
+ * components:
+ *   schemas:
+ *     Banner:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: The auto-generated id of the banner
+ *         type:
+ *           $ref: '#/components/schemas/BannerType'
+ *         imageurl:
+ *           type: string
+ *           description: URL of the banner image
+ *         name:
+ *           type: string
+ *           description: Name of the banner
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the banner goes live (immediately if empty)
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the banner expires (never if empty)
+ *         priority:
+ *           type: integer
+ *           default: 0
+ *           description: Higher priority banners are shown first
+ *         position:
+ *           type: integer
+ *           default: 0
+ *           description: Manual display order, lowest first
+ *         pinned:
+ *           type: boolean
+ *           default: false
+ *           description: Pinned banners are shown before all others
+ *         tenantId:
+ *           type: string
+ *           readOnly: true
+ *           description: The tenant the banner belongs to
+ *         variants:
+ *           type: object
+ *           readOnly: true
+ *           description: >
+ *             Generated copies of the image by size (thumbnail, medium, full)
+ *             and format (jpeg, webp, avif)
+ *           additionalProperties:
+ *             type: object
+ *             additionalProperties:
+ *               type: string
+ *         variantsStatus:
+ *           type: string
+ *           enum: [pending, ready, failed]
+ *           readOnly: true
+ *         status:
+ *           type: string
+ *           enum: [draft, in_review, approved, published, archived]
+ *           readOnly: true
+ *           description: Publishing status, changed through the workflow actions
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         reviews:
+ *           type: array
+ *           readOnly: true
+ *           description: Workflow actions and reviewer comments, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/Review'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: The date the banner was created
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: The date the banner was last updated
+ *       required:
+ *         - type
+ *         - imageurl
+ *         - name
+ *
+ *     BannerInput:
+ *       type: object
+ *       properties:
+ *         type:
+ *           $ref: '#/components/schemas/BannerType'
+ *         imageurl:
+ *           type: string
+ *           description: URL of the banner image
+ *         name:
+ *           type: string
+ *           description: Name of the banner
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the banner goes live (immediately if empty)
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the banner expires (never if empty)
+ *         priority:
+ *           type: integer
+ *           default: 0
+ *           description: Higher priority banners are shown first
+ *         position:
+ *           type: integer
+ *           default: 0
+ *           description: Manual display order, lowest first
+ *         pinned:
+ *           type: boolean
+ *           default: false
+ *           description: Pinned banners are shown before all others
+ *       required:
+ *         - type
+ *         - imageurl
+ *         - name
+ */
+
+// Get all banners
+router.get(
+  "/banner",
+  optionalAuthenticate,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const listQuery = parseListQuery(Banner, req.query, {
+      filters: [
+        "type",
+        "name",
+        "priority",
+        "startsAt",
+        "endsAt",
+        "pinned",
+        "position",
+        "status",
+      ],
+      defaultSort: ORDER_SORT,
+    });
+    if (listQuery.error) {
+      throw new BadRequestError(listQuery.error);
+    }
+    Object.assign(listQuery.filter, publishedFilter(req.user));
+
+    const { data, pagination } = await findPage(Banner, listQuery);
+    res.status(200).json({
+      message: "Banners retrieved successfully",
+      data: data.map((banner) => withImageVariant(banner, req.query)),
+      pagination,
+    });
+  })
+);
+
+// Get the banners that are live right now, optionally for a single type
+router.get(
+  "/banner/active",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { type } = req.query;
+    const now = new Date();
+
+    const filter = {
+      status: "published",
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+      ],
+    };
+    if (type) {
+      filter.type = type;
+    }
+
+    // Priority decides first, the manual position orders equal priorities
+    const banners = await Banner.find(filter).sort({
+      pinned: -1,
+      priority: -1,
+      position: 1,
+      createdAt: -1,
+    });
+    res
+      .status(200)
+      .json(banners.map((banner) => withImageVariant(banner, req.query)));
+  })
+);
+
+// Get a single banner by ID
+router.get(
+  "/banner/:id",
+  optionalAuthenticate,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const banner = await Banner.findOne({
+      _id: id,
+      ...publishedFilter(req.user),
+    });
+
+    if (!banner) {
+      throw new NotFoundError(`No banner found with id '${id}'`);
+    }
+
+    res.status(200).json(withImageVariant(banner, req.query));
+  })
+);
+
+// Create a new banner
+router.post(
+  "/banner",
+  authenticate,
+  authorize("admin"),
+  uploadImages("banners", "imageurl"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { type, imageurl, name, startsAt, endsAt, priority } = req.body;
+    if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+      throw new BadRequestError("endsAt must be after startsAt.");
+    }
+
+    const newBanner = new Banner({
+      type,
+      imageurl,
+      name,
+      startsAt,
+      endsAt,
+      priority,
+    });
+
+    await newBanner.save();
+    res.status(201).json({
+      message: "Banner created successfully",
+      data: newBanner,
+    });
+  })
+);
+
+// Delete a banner by ID
+router.delete(
+  "/banner/:id",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deletedBanner = await Banner.softDeleteById(id);
+
+    if (!deletedBanner) {
+      throw new NotFoundError(`No banner found with id '${id}'`);
+    }
+
+    res.status(200).json({
+      message: "Banner deleted successfully",
+      data: deletedBanner,
+    });
+  })
+);
+
+// PUBLISHING API'S
+
+const PUBLISHABLE_COLLECTIONS = {
+  posters: { model: Poster, route: "/admin/poster" },
+  banners: { model: Banner, route: "/banner" },
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [submit, approve, reject, publish, archive, edit]
+ *           description: >
+ *             `edit` means a content change sent the item back to review
+ *         from:
+ *           type: string
+ *         to:
+ *           type: string
+ *         comment:
+ *           type: string
+ *         actorId:
+ *           type: string
+ *           description: Token subject of the admin who took the action
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *   requestBodies:
+ *     ReviewComment:
+ *       description: Reviewer comment, required to reject
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *
+ * /admin/poster/{id}/submit:
+ *   post:
+ *     summary: Submit a draft poster for review
+ *     tags: [AdminPoster]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ReviewComment'
+ *     responses:
+ *       200:
+ *         description: Poster submitted for review
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Poster not found
+ *       409:
+ *         description: The poster is not a draft
+ *       500:
+ *         description: Server error
+ *
+ * /admin/poster/{id}/approve:
+ *   post:
+ *     summary: Approve a poster that is in review
+ *     tags: [AdminPoster]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ReviewComment'
+ *     responses:
+ *       200:
+ *         description: Poster approved
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Poster not found
+ *       409:
+ *         description: The poster is not in review
+ *       500:
+ *         description: Server error
+ *
+ * /admin/poster/{id}/reject:
+ *   post:
+ *     summary: Send a poster back to draft
+ *     tags: [AdminPoster]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ReviewComment'
+ *     responses:
+ *       200:
+ *         description: Poster rejected
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Poster not found
+ *       409:
+ *         description: The poster is not in review or approved
+ *       422:
+ *         description: The comment is missing
+ *       500:
+ *         description: Server error
+ *
+ * /admin/poster/{id}/publish:
+ *   post:
+ *     summary: Publish an approved poster
+ *     tags: [AdminPoster]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ReviewComment'
+ *     responses:
+ *       200:
+ *         description: Poster published
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Poster not found
+ *       409:
+ *         description: The poster is not approved
+ *       500:
+ *         description: Server error
+ *
+ * /admin/poster/{id}/archive:
+ *   post:
+ *     summary: Archive a poster
+ *     tags: [AdminPoster]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ReviewComment'
+ *     responses:
+ *       200:
+ *         description: Poster archived
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Poster not found
+ *       409:
+ *         description: The poster is already archived or in review
+ *       500:
+ *         description: Server error
+ *
+ * /banner/{id}/submit:
+ *   post:
+ *     summary: Submit a draft banner for review
+ *     tags: [Banner]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ReviewComment'
+ *     responses:
+ *       200:
+ *         description: Banner submitted for review
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Banner not found
+ *       409:
+ *         description: The banner is not a draft
+ *       500:
+ *         description: Server error
+ *
+ * /banner/{id}/approve:
+ *   post:
+ *     summary: Approve a banner that is in review
+ *     tags: [Banner]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ReviewComment'
+ *     responses:
+ *       200:
+ *         description: Banner approved
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Banner not found
+ *       409:
+ *         description: The banner is not in review
+ *       500:
+ *         description: Server error
+ *
+ * /banner/{id}/reject:
+ *   post:
+ *     summary: Send a banner back to draft
+ *     tags: [Banner]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ReviewComment'
+ *     responses:
+ *       200:
+ *         description: Banner rejected
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Banner not found
+ *       409:
+ *         description: The banner is not in review or approved
+ *       422:
+ *         description: The comment is missing
+ *       500:
+ *         description: Server error
+ *
+ * /banner/{id}/publish:
+ *   post:
+ *     summary: Publish an approved banner
+ *     tags: [Banner]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ReviewComment'
+ *     responses:
+ *       200:
+ *         description: Banner published
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Banner not found
+ *       409:
+ *         description: The banner is not approved
+ *       500:
+ *         description: Server error
+ *
+ * /banner/{id}/archive:
+ *   post:
+ *     summary: Archive a banner
+ *     tags: [Banner]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       $ref: '#/components/requestBodies/ReviewComment'
+ *     responses:
+ *       200:
+ *         description: Banner archived
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Banner not found
+ *       409:
+ *         description: The banner is already archived or in review
+ *       500:
+ *         description: Server error
+ */
+Object.values(PUBLISHABLE_COLLECTIONS).forEach(({ model, route }) => {
+  Object.keys(PUBLISH_ACTIONS).forEach((action) => {
+    router.post(
+      `${route}/:id/${action}`,
+      authenticate,
+      authorize("admin"),
+      validateRequest,
+      asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const item = await model.applyAction(id, action, {
+          actor: req.user,
+          comment: req.body.comment,
+        });
+
+        if (!item) {
+          throw new NotFoundError(`No item found with id '${id}'`);
+        }
+
+        res.status(200).json({
+          message: `Item is now ${item.status}`,
+          data: item,
+        });
+      })
+    );
+  });
+});
+
+// MESSAGE TEMPLATE API'S
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+const findPlaceholders = (...contents) => [
+  ...new Set(
+    contents.flatMap((content) =>
+      [...(content || "").matchAll(PLACEHOLDER_PATTERN)].map(
+        (match) => match[1]
+      )
+    )
+  ),
+];
+
+// Placeholders used in the content but missing from `variables`
+const findUndeclaredPlaceholders = ({
+  headingcontent,
+  footercontent,
+  variables,
+}) =>
+  findPlaceholders(headingcontent, footercontent).filter(
+    (name) => !(variables || []).includes(name)
+  );
+
+// Declared variables without a value, values that were not declared and
+// values of an unsupported type, null when everything matches
+const templateVariableErrors = (template, values) => {
+  const declared = template.variables || [];
+  const missing = declared.filter(
+    (name) => values[name] === undefined || values[name] === null
+  );
+  const unknown = Object.keys(values).filter(
+    (name) => !declared.includes(name)
+  );
+  const invalid = Object.keys(values).filter(
+    (name) =>
+      declared.includes(name) &&
+      values[name] !== null &&
+      !["string", "number", "boolean"].includes(typeof values[name])
+  );
+
+  return missing.length || unknown.length || invalid.length
+    ? { missing, unknown, invalid }
+    : null;
+};
+
+const renderTemplateContent = (content, values, type) => {
+  const rendered = (content || "").replace(PLACEHOLDER_PATTERN, (_, name) =>
+    type === "html" ? escapeXml(String(values[name])) : String(values[name])
+  );
+  return type === "html" ? sanitizeHtml(rendered) : rendered;
+};
+
+router.get(
+  "/template",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const listQuery = parseListQuery(MessageTemplate, req.query, {
+      filters: ["raid", "templatename", "type"],
+    });
+    if (listQuery.error) {
+      throw new BadRequestError(listQuery.error);
+    }
+
+    const { data, pagination } = await findPage(MessageTemplate, listQuery);
+    res.status(200).json({
+      message: "Templates retrieved successfully",
+      data,
+      pagination,
+    });
+  })
+);
+
+router.get(
+  "/template/:raid",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const template = await MessageTemplate.find({ raid: req.params.raid }).sort(
+      { createdAt: -1 }
+    );
+    if (!template) {
+      throw new NotFoundError("Template not found with the provided raid");
+    }
+    res.status(200).json(template);
+  })
+);
+
+const pickTemplateFields = (source) =>
+  Object.fromEntries(TEMPLATE_FIELDS.map((field) => [field, source[field]]));
+
+const TEMPLATE_REVISION_ATTEMPTS = 5;
+
+// Concurrent writes to a template may pick the same number. The unique index
+// rejects all but one of them and the others retry with the next number.
+const recordTemplateRevision = async (template, user, revertedFrom) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await TemplateRevision.findOne({
+      templateId: template._id,
+    }).sort({ revision: -1 });
+
+    try {
+      return await TemplateRevision.create({
+        templateId: template._id,
+        revision: latest ? latest.revision + 1 : 1,
+        ...pickTemplateFields(template),
+        createdBy: user ? user.id : "system",
+        revertedFrom,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === TEMPLATE_REVISION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Templates created before revisions existed get their current state
+// recorded as revision 1 before the first change
+const ensureBaselineRevision = async (template) => {
+  const exists = await TemplateRevision.exists({ templateId: template._id });
+  if (!exists) {
+    await recordTemplateRevision(template, null);
+  }
+};
+
+// POST a new message template
+router.post(
+  "/template",
+  authenticate,
+  authorize("admin", "expert"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const {
+      raid,
+      templatename,
+      headingcontent,
+      footercontent,
+      type,
+      variables,
+    } = req.body;
+
+    if (!isOwner(req.user, raid)) {
+      throw new ForbiddenError(
+        "You can only create templates for your own raid"
+      );
+    }
+
+    const undeclared = findUndeclaredPlaceholders({
+      headingcontent,
+      footercontent,
+      variables,
+    });
+    if (undeclared.length) {
+      throw new ValidationError(
+        `Undeclared template variables: ${undeclared.join(", ")}`,
+        { undeclared }
+      );
+    }
+
+    const newTemplate = new MessageTemplate({
+      raid,
+      templatename,
+      headingcontent,
+      footercontent,
+      type,
+      variables,
+    });
+    const savedTemplate = await newTemplate.save();
+    await recordTemplateRevision(savedTemplate, req.user);
+    res.status(201).json(savedTemplate);
+  })
+);
+
+// DELETE a message template by ID
+router.delete(
+  "/template/:id",
+  authenticate,
+  authorize("admin", "expert"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const template = await MessageTemplate.findById(req.params.id);
+    if (!template) {
+      throw new NotFoundError("Template not found");
+    }
+    if (!isOwner(req.user, template.raid)) {
+      throw new ForbiddenError("You can only delete your own templates");
+    }
+    await MessageTemplate.softDeleteById(req.params.id);
+    res.status(200).send({ message: "Template deleted successfully" });
+  })
+);
+
+// PATCH update a message template by ID. Only the fields that are sent
+// are changed.
+router.patch(
+  "/template/:id",
+  authenticate,
+  authorize("admin", "expert"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const updates = Object.fromEntries(
+      TEMPLATE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+        (field) => [field, req.body[field]]
+      )
+    );
+    if (!Object.keys(updates).length) {
+      throw new BadRequestError("No fields provided for update.");
+    }
+
+    const template = await MessageTemplate.findById(req.params.id);
+    if (!template) {
+      throw new NotFoundError("Template not found");
+    }
+    if (
+      !isOwner(req.user, template.raid) ||
+      (updates.raid && !isOwner(req.user, updates.raid))
+    ) {
+      throw new ForbiddenError("You can only modify your own templates");
+    }
+
+    const undeclared = findUndeclaredPlaceholders({
+      ...pickTemplateFields(template),
+      ...updates,
+    });
+    if (undeclared.length) {
+      throw new ValidationError(
+        `Undeclared template variables: ${undeclared.join(", ")}`,
+        { undeclared }
+      );
+    }
+
+    await ensureBaselineRevision(template);
+
+    template.set(updates);
+    await template.save();
+    await recordTemplateRevision(template, req.user);
+
+    res.status(200).json(template);
+  })
+);
+
+// GET the revision history of a message template, newest first
+router.get(
+  "/template/:id/revisions",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const template = await MessageTemplate.findById(req.params.id);
+    if (!template) {
+      throw new NotFoundError("Template not found");
+    }
+
+    const revisions = await TemplateRevision.find({
+      templateId: template._id,
+    }).sort({ revision: -1 });
+
+    res.status(200).json(revisions);
+  })
+);
+
+// GET the changed fields between two revisions of a message template
+router.get(
+  "/template/:id/revisions/diff",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+
+    const template = await MessageTemplate.findById(req.params.id);
+    if (!template) {
+      throw new NotFoundError("Template not found");
+    }
+
+    const revisions = await TemplateRevision.find({
+      templateId: template._id,
+      revision: { $in: [from, to] },
+    });
+    const before = revisions.find((revision) => revision.revision === from);
+    const after = revisions.find((revision) => revision.revision === to);
+
+    if (!before || !after) {
+      throw new NotFoundError("Revision not found");
+    }
+
+    res.status(200).json({
+      from,
+      to,
+      changes: diffDocuments(
+        pickTemplateFields(before.toObject()),
+        pickTemplateFields(after.toObject())
+      ),
+    });
+  })
+);
+
+// POST restore a message template to an older revision. The restore is
+// recorded as a new revision, history is never rewritten.
+router.post(
+  "/template/:id/revert/:revision",
+  authenticate,
+  authorize("admin", "expert"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const template = await MessageTemplate.findById(req.params.id);
+    if (!template) {
+      throw new NotFoundError("Template not found");
+    }
+    if (!isOwner(req.user, template.raid)) {
+      throw new ForbiddenError("You can only modify your own templates");
+    }
+
+    const revision = await TemplateRevision.findOne({
+      templateId: template._id,
+      revision: Number(req.params.revision),
+    });
+    if (!revision) {
+      throw new NotFoundError("Revision not found");
+    }
+    if (!isOwner(req.user, revision.raid)) {
+      throw new ForbiddenError("This revision belongs to another raid");
+    }
+
+    template.set(pickTemplateFields(revision));
+    await template.save();
+    await recordTemplateRevision(template, req.user, revision.revision);
+
+    res.status(200).json(template);
+  })
+);
+
+// POST render a message template with the given variables
+router.post(
+  "/template/:id/render",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const values = req.body.variables || {};
+
+    const template = await MessageTemplate.findById(req.params.id);
+    if (!template) {
+      throw new NotFoundError("Template not found");
+    }
+
+    const variableErrors = templateVariableErrors(template, values);
+    if (variableErrors) {
+      throw new ValidationError(
+        "Template variables do not match the template declaration",
+        variableErrors
+      );
+    }
+
+    const type = template.type || "text";
+
+    res.status(200).json({
+      type,
+      headingcontent: renderTemplateContent(
+        template.headingcontent,
+        values,
+        type
+      ),
+      footercontent: renderTemplateContent(
+        template.footercontent,
+        values,
+        type
+      ),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MessageTemplate:
+ *       type: object
+ *       properties:
+ *         raid:
+ *           type: string
+ *           description: The raid identifier (e.g., template1, template2, etc.)
+ *         templatename:
+ *           type: string
+ *           description: The name of the message template
+ *         headingcontent:
+ *           type: string
+ *           description: The content for the heading section
+ *         footercontent:
+ *           type: string
+ *           description: The content for the footer section
+ *         type:
+ *           type: string
+ *           enum: [text, html]
+ *           description: The type of message (either `text` or `html`)
+ *         variables:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: >
+ *             Names of the variables the content may reference as
+ *             `{{name}}`. Every placeholder used must be declared here.
+ */
+
+/**
+ * @swagger
+ * /template:
+ *   get:
+ *     summary: Retrieve all message templates
+ *     description: Retrieve a list of all available message templates.
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/CreatedAtRange'
+ *       - in: query
+ *         name: raid
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: templatename
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: type
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [text, html]
+ *     responses:
+ *       200:
+ *         description: A page of message templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MessageTemplate'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error while fetching templates
+ */
+
+/**
+ * @swagger
+ * /template/{raid}:
+ *   get:
+ *     summary: Retrieve a message template by raid
+ *     description: Retrieve the details of a specific message template using its raid identifier.
+ *     parameters:
+ *       - in: path
+ *         name: raid
+ *         description: The raid identifier (e.g., raid="template1")
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A message template object
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageTemplate'
+ *       404:
+ *         description: Template not found with the provided raid
+ *       500:
+ *         description: Server error while fetching the template
+ */
+
+/**
+ * @swagger
+ * /template:
+ *   post:
+ *     summary: Create a new message template
+ *     description: Create a new message template by providing the necessary details.
+ *     security:
+ *       - adminAuth: []
+ *       - expertAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessageTemplate'
+ *     responses:
+ *       201:
+ *         description: Message template created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageTemplate'
+ *       400:
+ *         description: Invalid input, failed to create the message template
+ *       422:
+ *         description: >
+ *           Invalid fields, or placeholders that are not declared in
+ *           `variables`. Those are listed in the `undeclared` error detail.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error while creating the template
+ */
+
+/**
+ * @swagger
+ * /template/{id}:
+ *   delete:
+ *     summary: Delete a message template by ID
+ *     description: Delete a message template using the provided template ID.
+ *     security:
+ *       - adminAuth: []
+ *       - expertAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: The template ID
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       404:
+ *         description: Template not found with the provided ID
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error while deleting the template
+ */
+
+/**
+ * @swagger
+ * /template/{id}:
+ *   patch:
+ *     summary: Update a message template by ID
+ *     description: >
+ *       Update the details of a message template using the provided template
+ *       ID. Only the fields that are sent are changed, and every update is
+ *       kept as a new revision.
+ *     security:
+ *       - adminAuth: []
+ *       - expertAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         description: The template ID
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MessageTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageTemplate'
+ *       404:
+ *         description: Template not found with the provided ID
+ *       400:
+ *         description: Invalid input for updating the template
+ *       422:
+ *         description: >
+ *           Invalid fields, or placeholders that are not declared in
+ *           `variables`. Those are listed in the `undeclared` error detail.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error while updating the template
+ */
+
+/**
+ * @swagger
+ * /template/{id}/render:
+ *   post:
+ *     summary: Render a message template with variables
+ *     description: >
+ *       Substitutes every `{{name}}` placeholder in the heading and footer
+ *       content. Every declared variable must be provided and no others.
+ *       HTML templates have their values escaped and the output sanitized.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The template ID
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variables:
+ *                 type: object
+ *                 additionalProperties:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: number
+ *                     - type: boolean
+ *                 example:
+ *                   expertName: Jane Doe
+ *                   date: "2024-10-01"
+ *     responses:
+ *       200:
+ *         description: The rendered content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   enum: [text, html]
+ *                 headingcontent:
+ *                   type: string
+ *                 footercontent:
+ *                   type: string
+ *       404:
+ *         description: Template not found with the provided ID
+ *       422:
+ *         description: >
+ *           Missing, unknown or invalid variables. The error details hold
+ *           the `missing`, `unknown` and `invalid` variable names.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error while rendering the template
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TemplateRevision:
+ *       type: object
+ *       properties:
+ *         templateId:
+ *           type: string
+ *         revision:
+ *           type: integer
+ *           description: Revision number, starting at 1
+ *         raid:
+ *           type: string
+ *         templatename:
+ *           type: string
+ *         headingcontent:
+ *           type: string
+ *         footercontent:
+ *           type: string
+ *         type:
+ *           type: string
+ *         variables:
+ *           type: array
+ *           items:
+ *             type: string
+ *         createdBy:
+ *           type: string
+ *           description: ID of the user who made the change
+ *         revertedFrom:
+ *           type: integer
+ *           description: Set when the revision restored an older one
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /template/{id}/revisions:
+ *   get:
+ *     summary: List the revisions of a message template
+ *     description: Every create, update and revert is kept, newest first.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The template ID
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: The revision history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TemplateRevision'
+ *       404:
+ *         description: Template not found with the provided ID
+ *       500:
+ *         description: Server error while fetching the revisions
+ *
+ * /template/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a message template
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The template ID
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "The changed fields as { field: { before, after } }"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: integer
+ *                 to:
+ *                   type: integer
+ *                 changes:
+ *                   type: object
+ *       400:
+ *         description: Invalid revision numbers
+ *       404:
+ *         description: Template or revision not found
+ *       500:
+ *         description: Server error while comparing the revisions
+ *
+ * /template/{id}/revert/{revision}:
+ *   post:
+ *     summary: Restore a message template to an older revision
+ *     description: The restored content is saved as a new revision.
+ *     security:
+ *       - adminAuth: []
+ *       - expertAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: The template ID
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         description: The revision number to restore
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Template reverted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageTemplate'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       404:
+ *         description: Template or revision not found
+ *       500:
+ *         description: Server error while reverting the template
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CopartnerLink:
+ *       type: object
+ *       required:
+ *         - copartnerId
+ *         - links
+ *       properties:
+ *         copartnerId:
+ *           type: string
+ *           description: The unique ID of the copartner
+ *         links:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CopartnerLinkItem'
+ *           description: List of links associated with the copartner
+ *     CopartnerLinkItem:
+ *       type: object
+ *       required:
+ *         - url
+ *       properties:
+ *         _id:
+ *           type: string
+ *           readOnly: true
+ *           description: The auto-generated id of the link
+ *         code:
+ *           type: string
+ *           readOnly: true
+ *           description: Tracking code, the link is shared as /r/{code}
+ *         label:
+ *           type: string
+ *           description: Display label of the link
+ *         url:
+ *           type: string
+ *           format: uri
+ *           description: Target http(s) URL
+ *         active:
+ *           type: boolean
+ *           default: true
+ *           description: Inactive links are kept but not meant to be shown
+ *         order:
+ *           type: integer
+ *           description: Display position, lowest first
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *     CopartnerLinkInput:
+ *       description: A link object, or a bare URL string for legacy clients
+ *       oneOf:
+ *         - type: string
+ *           format: uri
+ *         - $ref: '#/components/schemas/CopartnerLinkItem'
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: CopartnerLinks
+ *   description: API for managing copartner links
+ */
+
+/**
+ * @swagger
+ * /copartnerLinks:
+ *   post:
+ *     summary: Create a new copartner with links
+ *     tags: [CopartnerLinks]
+ *     security:
+ *       - adminAuth: []
+ *       - copartnerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [copartnerId]
+ *             properties:
+ *               copartnerId:
+ *                 type: string
+ *               links:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CopartnerLinkInput'
+ *     responses:
+ *       201:
+ *         description: Copartner created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                 copartner:
+ *                   $ref: '#/components/schemas/CopartnerLink'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ */
+
+/**
+ * @swagger
+ * /copartnerLinks:
+ *   get:
+ *     summary: Retrieve all copartners
+ *     tags: [CopartnerLinks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/CreatedAtRange'
+ *       - in: query
+ *         name: copartnerId
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: A page of copartners
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CopartnerLink'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /copartnerLinks/{copartnerId}:
+ *   get:
+ *     summary: Retrieve links by copartnerId
+ *     tags: [CopartnerLinks]
+ *     parameters:
+ *       - in: path
+ *         name: copartnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           description: The ID of the copartner
+ *     responses:
+ *       200:
+ *         description: Links for the specified copartner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CopartnerLink'
+ *       404:
+ *         description: Copartner not found
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /copartnerLinks/{copartnerId}:
+ *   patch:
+ *     summary: Update a copartner
+ *     description: >
+ *       Replaces the list of links. Links may be given as URL strings or
+ *       link objects. Only admins can change the copartnerId.
+ *     tags: [CopartnerLinks]
+ *     security:
+ *       - adminAuth: []
+ *       - copartnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: copartnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the copartner
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               copartnerId:
+ *                 type: string
+ *               links:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CopartnerLinkInput'
+ *     responses:
+ *       200:
+ *         description: Copartner updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 copartner:
+ *                   $ref: '#/components/schemas/CopartnerLink'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       404:
+ *         description: Copartner not found
+ *
+ *   delete:
+ *     summary: Delete a copartner and all its links
+ *     tags: [CopartnerLinks]
+ *     security:
+ *       - adminAuth: []
+ *       - copartnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: copartnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the copartner
+ *     responses:
+ *       200:
+ *         description: Copartner deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 copartner:
+ *                   $ref: '#/components/schemas/CopartnerLink'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       404:
+ *         description: Copartner not found
+ *       500:
+ *         description: Server error
+ *
+ * /copartnerLinks/{copartnerId}/links:
+ *   post:
+ *     summary: Append a link to a copartner
+ *     tags: [CopartnerLinks]
+ *     security:
+ *       - adminAuth: []
+ *       - copartnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: copartnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the copartner
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CopartnerLinkItem'
+ *     responses:
+ *       201:
+ *         description: Link added successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       404:
+ *         description: Copartner not found
+ *
+ * /copartnerLinks/{copartnerId}/links/{linkId}:
+ *   patch:
+ *     summary: Update a single link
+ *     tags: [CopartnerLinks]
+ *     security:
+ *       - adminAuth: []
+ *       - copartnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: copartnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the copartner
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: The ID of the link
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               label:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               active:
+ *                 type: boolean
+ *               order:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Link updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 copartner:
+ *                   $ref: '#/components/schemas/CopartnerLink'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       404:
+ *         description: Copartner or link not found
+ *
+ *   delete:
+ *     summary: Remove a single link
+ *     tags: [CopartnerLinks]
+ *     security:
+ *       - adminAuth: []
+ *       - copartnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: copartnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the copartner
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *         description: The ID of the link
+ *     responses:
+ *       200:
+ *         description: Link removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 copartner:
+ *                   $ref: '#/components/schemas/CopartnerLink'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       404:
+ *         description: Copartner or link not found
+ *       500:
+ *         description: Server error
+ */
+
+router.post(
+  "/copartnerLinks",
+  authenticate,
+  authorize("admin", "copartner"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { copartnerId, links } = req.body;
+
+    if (!isOwner(req.user, copartnerId)) {
+      throw new ForbiddenError(
+        "You can only create links for your own copartnerId"
+      );
+    }
+    const newCopartner = new CopartnerLinks({
+      copartnerId,
+      links: toLinkItems(links),
+    });
+    await newCopartner.save();
+    res.status(201).json({
+      message: "Copartner created successfully",
+      copartner: newCopartner,
+    });
+  })
+);
+
+router.get(
+  "/copartnerLinks",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const listQuery = parseListQuery(CopartnerLinks, req.query, {
+      filters: ["copartnerId"],
+    });
+    if (listQuery.error) {
+      throw new BadRequestError(listQuery.error);
+    }
+
+    const { data, pagination } = await findPage(CopartnerLinks, listQuery);
+    res.status(200).json({
+      message: "Copartners retrieved successfully",
+      data,
+      pagination,
+    });
+  })
+);
+
+router.get(
+  "/copartnerLinks/:copartnerId",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { copartnerId } = req.params;
+    const copartner = await CopartnerLinks.findOne({ copartnerId });
+    if (!copartner) {
+      throw new NotFoundError("Copartner not found");
+    }
+    res.status(200).json(copartner);
+  })
+);
+
+// Loads the copartner named in the URL and checks the caller may change it
+const loadOwnCopartner = async (req) => {
+  const { copartnerId } = req.params;
+
+  if (!isOwner(req.user, copartnerId)) {
+    throw new ForbiddenError("You can only modify your own links");
+  }
+
+  const copartner = await CopartnerLinks.findOne({ copartnerId });
+  if (!copartner) {
+    throw new NotFoundError("Copartner not found");
+  }
+  return copartner;
+};
+
+router.patch(
+  "/copartnerLinks/:copartnerId",
+  authenticate,
+  authorize("admin", "copartner"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { copartnerId, links } = req.body;
+
+    const copartner = await loadOwnCopartner(req);
+
+    if (copartnerId !== undefined) {
+      if (req.user.role !== "admin") {
+        throw new ForbiddenError("Only admins can change the copartnerId");
+      }
+      copartner.copartnerId = copartnerId;
+    }
+    if (links !== undefined) {
+      copartner.links = toLinkItems(links);
+    }
+
+    await copartner.save();
+    res.status(200).json({
+      message: "Copartner updated successfully",
+      copartner,
+    });
+  })
+);
+
+router.delete(
+  "/copartnerLinks/:copartnerId",
+  authenticate,
+  authorize("admin", "copartner"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const copartner = await loadOwnCopartner(req);
+
+    await copartner.deleteOne();
+    res.status(200).json({
+      message: "Copartner deleted successfully",
+      copartner,
+    });
+  })
+);
+
+router.post(
+  "/copartnerLinks/:copartnerId/links",
+  authenticate,
+  authorize("admin", "copartner"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { label, url, active, order } = req.body;
+
+    const copartner = await loadOwnCopartner(req);
+
+    // Appended links go to the end unless an order is given
+    const lastOrder = Math.max(-1, ...copartner.links.map((l) => l.order));
+    copartner.links.push({
+      label,
+      url,
+      active,
+      order: order ?? lastOrder + 1,
+    });
+
+    await copartner.save();
+    res.status(201).json({
+      message: "Link added successfully",
+      copartner,
+    });
+  })
+);
+
+router.patch(
+  "/copartnerLinks/:copartnerId/links/:linkId",
+  authenticate,
+  authorize("admin", "copartner"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const copartner = await loadOwnCopartner(req);
+
+    const link = copartner.links.id(req.params.linkId);
+    if (!link) {
+      throw new NotFoundError("Link not found");
+    }
+
+    ["label", "url", "active", "order"].forEach((field) => {
+      if (req.body[field] !== undefined) link[field] = req.body[field];
+    });
+
+    await copartner.save();
+    res.status(200).json({
+      message: "Link updated successfully",
+      copartner,
+    });
+  })
+);
+
+router.delete(
+  "/copartnerLinks/:copartnerId/links/:linkId",
+  authenticate,
+  authorize("admin", "copartner"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const copartner = await loadOwnCopartner(req);
+
+    const link = copartner.links.id(req.params.linkId);
+    if (!link) {
+      throw new NotFoundError("Link not found");
+    }
+
+    link.deleteOne();
+    await copartner.save();
+    res.status(200).json({
+      message: "Link removed successfully",
+      copartner,
+    });
+  })
+);
+
+// LINK TRACKING
+
+// Unsalted hashes of IPv4 addresses are easy to reverse, so without a salt
+// clicks are recorded without the visitor's IP hash
+const IP_HASH_SALT = process.env.IP_HASH_SALT;
+if (!IP_HASH_SALT) {
+  console.log("IP_HASH_SALT is not set, link clicks are stored without IPs");
+}
+
+const hashIp = (ip) =>
+  ip && IP_HASH_SALT
+    ? crypto
+        .createHash("sha256")
+        .update(IP_HASH_SALT + ip)
+        .digest("hex")
+    : undefined;
+
+/**
+ * @swagger
+ * /r/{code}:
+ *   get:
+ *     summary: Follow a tracked copartner link
+ *     description: Records the click and redirects to the link's target URL.
+ *     tags: [CopartnerLinks]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The tracking code of the link
+ *     responses:
+ *       302:
+ *         description: Redirect to the target URL
+ *       404:
+ *         description: Link not found or inactive
+ *       500:
+ *         description: Server error
+ *
+ * /copartnerLinks/{copartnerId}/stats:
+ *   get:
+ *     summary: Click counts per link, grouped by day
+ *     tags: [CopartnerLinks]
+ *     security:
+ *       - adminAuth: []
+ *       - copartnerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: copartnerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the copartner
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count clicks on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count clicks on or before this date
+ *     responses:
+ *       200:
+ *         description: Click statistics for every link of the copartner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 copartnerId:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                 links:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       linkId:
+ *                         type: string
+ *                       code:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       url:
+ *                         type: string
+ *                       removed:
+ *                         type: boolean
+ *                         description: Link was removed but has recorded clicks
+ *                       total:
+ *                         type: integer
+ *                       daily:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             date:
+ *                               type: string
+ *                               example: "2024-10-01"
+ *                             count:
+ *                               type: integer
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       404:
+ *         description: Copartner not found
+ *       500:
+ *         description: Server error
+ */
+
+router.get(
+  "/r/:code",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { code } = req.params;
+    // Codes are unique across tenants and shared links may be opened through
+    // any host, so the link and its click belong to the link's tenant
+    const copartner = await tenantContext.exit(() =>
+      CopartnerLinks.findOne(
+        { "links.code": code },
+        { tenantId: 1, copartnerId: 1, "links.$": 1 }
+      )
+    );
+    const link = copartner && copartner.links[0];
+
+    if (!link || !link.active) {
+      throw new NotFoundError("Link not found");
+    }
+
+    // A failed write must never block the redirect
+    tenantContext
+      .exit(() =>
+        LinkClick.create({
+          tenantId: copartner.tenantId,
+          copartnerId: copartner.copartnerId,
+          linkId: link._id,
+          code,
+          referrer: req.get("referer"),
+          userAgent: req.get("user-agent"),
+          ipHash: hashIp(req.ip),
+        })
+      )
+      .catch((error) => {
+        console.error("Failed to record link click:", error.message);
+      });
+
+    res.redirect(302, link.url);
+  })
+);
+
+router.get(
+  "/copartnerLinks/:copartnerId/stats",
+  authenticate,
+  authorize("admin", "copartner"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { copartnerId } = req.params;
+    const { from, to } = req.query;
+
+    if (!isOwner(req.user, copartnerId)) {
+      throw new ForbiddenError("You can only view stats of your own links");
+    }
+
+    const copartner = await CopartnerLinks.findOne({ copartnerId });
+    if (!copartner) {
+      throw new NotFoundError("Copartner not found");
+    }
+
+    // Clicks of the current links are found by link id, so they survive a
+    // change of the copartnerId. Removed links are found by copartnerId.
+    const match = {
+      $or: [
+        { linkId: { $in: copartner.links.map((link) => link._id) } },
+        { copartnerId },
+      ],
+    };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const clicks = await LinkClick.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            linkId: "$linkId",
+            date: {
+              $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { "_id.date": 1 } },
+      {
+        $group: {
+          _id: "$_id.linkId",
+          total: { $sum: "$count" },
+          daily: { $push: { date: "$_id.date", count: "$count" } },
+        },
+      },
+    ]);
+
+    const byLink = new Map(clicks.map((row) => [String(row._id), row]));
+
+    // Removed links keep their history, so report them as well
+    const links = [
+      ...copartner.links.map((link) => ({
+        linkId: link._id,
+        code: link.code,
+        label: link.label,
+        url: link.url,
+      })),
+      ...clicks
+        .filter(
+          (row) => !copartner.links.some((link) => link._id.equals(row._id))
+        )
+        .map((row) => ({ linkId: row._id, removed: true })),
+    ].map((link) => {
+      const row = byLink.get(String(link.linkId));
+      return {
+        ...link,
+        total: row ? row.total : 0,
+        daily: row ? row.daily : [],
+      };
+    });
+
+    res.status(200).json({
+      copartnerId,
+      total: links.reduce((sum, link) => sum + link.total, 0),
+      links,
+    });
+  })
+);
+
+// TRASH API'S
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Soft-deletable collections, the route prefix their restore endpoint lives
+// under and the fields holding stored files that are removed on purge
+const TRASH_COLLECTIONS = {
+  images: {
+    model: RADashboardImage,
+    route: "/ra-dashboard/image",
+    urlFields: ["imageurl"],
+  },
+  posters: {
+    model: Poster,
+    route: "/admin/poster",
+    urlFields: ["image1url", "image2url"],
+  },
+  banners: { model: Banner, route: "/banner", urlFields: ["imageurl"] },
+  templates: { model: MessageTemplate, route: "/template", urlFields: [] },
+};
+
+// Hard-deletes trashed items older than the retention period
+const purgeTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+
+  for (const [name, { model, urlFields }] of Object.entries(
+    TRASH_COLLECTIONS
+  )) {
+    const expired = await model.find({
+      deletedAt: { $ne: null, $lte: cutoff },
+    });
+    if (!expired.length) continue;
+
+    await model.deleteMany({ _id: { $in: expired.map((doc) => doc._id) } });
+    await removeStoredFiles(
+      expired.flatMap((doc) => [
+        ...urlFields.map((field) => doc[field]),
+        ...variantUrls(doc),
+      ])
+    );
+    console.log(`Purged ${expired.length} item(s) from ${name} trash`);
+  }
+};
+
+const scheduleTrashPurge = () => {
+  const run = () =>
+    purgeTrash().catch((error) => {
+      console.error("Error purging trash:", error.message);
+    });
+
+  run();
+  setInterval(run, DAY_MS).unref();
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: Deleted content awaiting restore or purge
+ *
+ * /trash:
+ *   get:
+ *     summary: List deleted items across collections
+ *     description: >
+ *       Items stay in the trash for TRASH_RETENTION_DAYS (30 by default)
+ *       before they and their stored files are permanently deleted.
+ *     tags: [Trash]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: collection
+ *         schema:
+ *           type: string
+ *         description: Comma separated subset of images, posters, banners, templates
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of items per collection
+ *     responses:
+ *       200:
+ *         description: Deleted items, most recently deleted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       collection:
+ *                         type: string
+ *                       deletedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       purgeAt:
+ *                         type: string
+ *                         format: date-time
+ *                       item:
+ *                         type: object
+ *       400:
+ *         description: Unknown collection
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Server error
+ *
+ * /ra-dashboard/image/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted image from the trash
+ *     tags: [RADashboardImage]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Image restored successfully
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: No deleted image with this ID
+ *       500:
+ *         description: Server error
+ *
+ * /admin/poster/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted poster from the trash
+ *     tags: [AdminPoster]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Poster restored successfully
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: No deleted poster with this ID
+ *       500:
+ *         description: Server error
+ *
+ * /banner/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted banner from the trash
+ *     tags: [Banner]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Banner restored successfully
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: No deleted banner with this ID
+ *       500:
+ *         description: Server error
+ *
+ * /template/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted template from the trash
+ *     tags: [Trash]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Template restored successfully
+ *       400:
+ *         description: Invalid ID format
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: No deleted template with this ID
+ *       500:
+ *         description: Server error
+ */
+
+router.get(
+  "/trash",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const names = req.query.collection
+      ? String(req.query.collection).split(",")
+      : Object.keys(TRASH_COLLECTIONS);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 100, 1),
+      500
+    );
+
+    const unknown = names.filter((name) => !TRASH_COLLECTIONS[name]);
+    if (unknown.length) {
+      throw new BadRequestError(`Unknown collections: ${unknown.join(", ")}`);
+    }
+
+    const results = await Promise.all(
+      names.map(async (name) => {
+        const items = await TRASH_COLLECTIONS[name].model
+          .find({ deletedAt: { $ne: null } })
+          .sort({ deletedAt: -1 })
+          .limit(limit);
+
+        return items.map((item) => ({
+          collection: name,
+          deletedAt: item.deletedAt,
+          purgeAt: new Date(
+            item.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS
+          ),
+          item,
+        }));
+      })
+    );
+
+    res.status(200).json({
+      message: "Trash retrieved successfully",
+      data: results.flat().sort((a, b) => b.deletedAt - a.deletedAt),
+    });
+  })
+);
+
+Object.values(TRASH_COLLECTIONS).forEach(({ model, route }) => {
+  router.post(
+    `${route}/:id/restore`,
+    authenticate,
+    authorize("admin"),
+    validateRequest,
+    asyncHandler(async (req, res) => {
+      const { id } = req.params;
+
+      const restored = await model.restoreById(id);
+
+      if (!restored) {
+        throw new NotFoundError(`No deleted item found with id '${id}'`);
+      }
+
+      res.status(200).json({
+        message: "Item restored successfully",
+        data: restored,
+      });
+    })
+  );
+});
+
+// AUDIT API'S
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         actorId:
+ *           type: string
+ *           description: Token subject of the user, or "system"
+ *         actorRole:
+ *           type: string
+ *           description: Role of the user (admin, expert, copartner or system)
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *         model:
+ *           type: string
+ *           description: Model name, e.g. Banner or AdminPoster
+ *         documentId:
+ *           type: string
+ *         changes:
+ *           type: object
+ *           description: "Changed fields as { field: { before, after } }"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /audit:
+ *   get:
+ *     summary: Investigate who changed what
+ *     tags: [Audit]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/CreatedAtRange'
+ *       - in: query
+ *         name: actorId
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: actorRole
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: action
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [create, update, delete, restore, purge]
+ *       - in: query
+ *         name: model
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [RADashboardImage, AdminPoster, Banner, MessageTemplate, CopartnerLink]
+ *       - in: query
+ *         name: documentId
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: A page of audit events, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEvent'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Server error
+ */
+router.get(
+  "/audit",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const listQuery = parseListQuery(AuditEvent, req.query, {
+      filters: ["actorId", "actorRole", "action", "model", "documentId"],
+    });
+    if (listQuery.error) {
+      throw new BadRequestError(listQuery.error);
+    }
+
+    const { data, pagination } = await findPage(AuditEvent, listQuery);
+    res.status(200).json({
+      message: "Audit events retrieved successfully",
+      data,
+      pagination,
+    });
+  })
+);
+
+// BULK IMPORT AND EXPORT API'S
+
+const MAX_BULK_ROWS = Number(process.env.MAX_BULK_ROWS) || 1000;
+
+// Collections that can be exported. Imported rows are validated against the
+// swagger schema named by `inputSchema`, collections without one are export
+// only. Like on create, `urlFields` may not point into our own storage.
+const TRANSFER_COLLECTIONS = {
+  images: {
+    model: RADashboardImage,
+    fields: ["expertId", "imageurl", "type", "name", "position", "pinned"],
+    filters: ["expertId", "type", "name", "pinned"],
+    inputSchema: "RADashboardImage",
+    urlFields: ["imageurl"],
+  },
+  posters: {
+    model: Poster,
+    fields: [
+      "image1url",
+      "image2url",
+      "type",
+      "name",
+      "position",
+      "pinned",
+      "status",
+      "publishedAt",
+    ],
+    filters: ["type", "name", "pinned", "status"],
+    inputSchema: "AdminPoster",
+    urlFields: ["image1url", "image2url"],
+  },
+  banners: {
+    model: Banner,
+    fields: [
+      "type",
+      "imageurl",
+      "name",
+      "startsAt",
+      "endsAt",
+      "priority",
+      "position",
+      "pinned",
+      "status",
+      "publishedAt",
+    ],
+    filters: [
+      "type",
+      "name",
+      "priority",
+      "startsAt",
+      "endsAt",
+      "pinned",
+      "status",
+    ],
+    inputSchema: "BannerInput",
+    urlFields: ["imageurl"],
+  },
+  templates: {
+    model: MessageTemplate,
+    fields: TEMPLATE_FIELDS,
+    filters: ["raid", "templatename", "type"],
+  },
+  copartnerLinks: {
+    model: CopartnerLinks,
+    fields: ["copartnerId", "links"],
+    filters: ["copartnerId"],
+  },
+};
+
+// Compiled on first use and again after the content types change. CSV
+// cells are strings, so CSV rows are coerced like form fields.
+const rowValidators = new Map();
+
+const rowValidator = (collection, format) => {
+  const key = `${collection} ${format}`;
+  if (!rowValidators.has(key)) {
+    const { inputSchema } = TRANSFER_COLLECTIONS[collection];
+    const schema = inlineSchema(
+      { $ref: `#/components/schemas/${inputSchema}` },
+      true
+    );
+    rowValidators.set(
+      key,
+      (format === "csv" ? coercingAjv : jsonAjv).compile(schema)
+    );
+  }
+  return rowValidators.get(key);
+};
+
+// Empty cells are left out so optional fields keep their defaults
+const readCsvRows = (text) => {
+  let records;
+  try {
+    records = parseCsv(text, {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+    });
+  } catch (error) {
+    throw new BadRequestError(`Invalid CSV: ${error.message}`);
+  }
+  return records.map((record) =>
+    Object.fromEntries(Object.entries(record).filter(([, value]) => value))
+  );
+};
+
+// Tags the error details of a failed row with its 1-based row number.
+// Errors that are not caused by the row itself are rethrown.
+const toRowError = (row, err) => {
+  const error = toHttpError(err);
+  if (!error) throw err;
+  error.details = (error.details || [{ message: error.message }]).map(
+    (detail) => ({ row, ...detail })
+  );
+  return error;
+};
+
+/**
+ * @swagger
+ * /bulk/{collection}:
+ *   post:
+ *     summary: Import many documents at once
+ *     description: >
+ *       Accepts a JSON array or a CSV file with a header row. Every row is
+ *       shaped like the create body of the collection. In `atomic` mode
+ *       either every row is imported or none is, which needs MongoDB to run
+ *       as a replica set. In `partial` mode valid rows are imported and the
+ *       result of every row is reported.
+ *     tags: [Bulk]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [images, posters, banners]
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [atomic, partial]
+ *           default: atomic
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               type,imageurl,name,priority
+ *               home,https://cdn.example.com/a.png,Diwali sale,10
+ *     responses:
+ *       201:
+ *         description: Every row was imported (atomic mode)
+ *       200:
+ *         description: >
+ *           Result of every row (partial mode), as { row, status, id } or
+ *           { row, status, errors }
+ *       400:
+ *         description: Invalid parameters or malformed CSV
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       409:
+ *         description: A row conflicts with an existing document (atomic mode)
+ *       422:
+ *         description: >
+ *           Invalid rows (atomic mode), nothing was imported. Every error
+ *           detail names its row.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       503:
+ *         description: Atomic mode is unavailable, MongoDB is not a replica set
+ */
+router.post(
+  "/bulk/:collection",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { collection } = req.params;
+    const { model, urlFields = [] } = TRANSFER_COLLECTIONS[collection];
+    const isCsv = Boolean(req.is("text/csv"));
+    const validate = rowValidator(collection, isCsv ? "csv" : "json");
+    const rows = isCsv ? readCsvRows(req.body) : req.body;
+
+    if (!rows.length) {
+      throw new ValidationError("There are no rows to import");
+    }
+    if (rows.length > MAX_BULK_ROWS) {
+      throw new ValidationError(
+        `At most ${MAX_BULK_ROWS} rows can be imported at once`
+      );
+    }
+
+    const results = rows.map((row, index) => ({
+      row: index + 1,
+      errors: [
+        ...(validate(row) ? [] : describeErrors("body", validate.errors)),
+        ...urlFields
+          .filter((field) => storage.owns(row[field]))
+          .map((field) => ({
+            in: "body",
+            field,
+            message: "must point to an external image",
+          })),
+      ],
+    }));
+
+    if ((req.query.mode || "atomic") === "atomic") {
+      const invalid = results.filter(({ errors }) => errors.length);
+      if (invalid.length) {
+        throw new ValidationError(
+          "Nothing was imported, some rows are invalid",
+          invalid.flatMap(({ row, errors }) =>
+            errors.map((error) => ({ row, ...error }))
+          )
+        );
+      }
+
+      let created;
+      await runTransaction(async (session) => {
+        // The callback runs again when the transaction is retried
+        created = [];
+        for (const [index, row] of rows.entries()) {
+          try {
+            const [doc] = await model.create([row], { session });
+            created.push(doc);
+          } catch (err) {
+            throw toRowError(index + 1, err);
+          }
+        }
+      });
+
+      return res.status(201).json({
+        message: `${created.length} ${collection} imported successfully`,
+        data: created,
+      });
+    }
+
+    for (const result of results) {
+      if (result.errors.length) continue;
+      try {
+        const doc = await model.create(rows[result.row - 1]);
+        result.id = doc._id;
+      } catch (err) {
+        result.errors = toRowError(result.row, err).details;
+      }
+    }
+
+    const failed = results.filter(({ errors }) => errors.length).length;
+    res.status(200).json({
+      message: `${rows.length - failed} of ${
+        rows.length
+      } ${collection} imported`,
+      data: results.map(({ row, id, errors }) =>
+        errors.length
+          ? { row, status: "failed", errors }
+          : { row, status: "created", id }
+      ),
+    });
+  })
+);
+
+async function* toJsonArray(docs) {
+  let separator = "";
+  yield "[";
+  for await (const doc of docs) {
+    yield separator + JSON.stringify(doc);
+    separator = ",";
+  }
+  yield "]";
+}
+
+/**
+ * @swagger
+ * /export/{collection}:
+ *   get:
+ *     summary: Download every matching document
+ *     description: >
+ *       Streams all documents that match the filters, without paging.
+ *       Soft deleted documents are left out. In CSV, arrays and objects
+ *       such as copartner links are written as JSON.
+ *     tags: [Bulk]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: collection
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [images, posters, banners, templates, copartnerLinks]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/CreatedAtRange'
+ *     responses:
+ *       200:
+ *         description: The documents as a JSON array or a CSV file
+ *         content:
+ *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 type: object
- *                 properties:
- *                   expertId:
- *                     type: string
- *                   imageurl:
- *                     type: string
- *                   type:
- *                     type: string
- *                   name:
- *                     type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
  *       500:
  *         description: Server error
  */
-router.get("/ra-dashboard/images", async (req, res) => {
-  try {
-    const images = await RADashboardImage.find();
-    res.status(200).json({
-      message: "Images retrieved successfully",
-      data: images,
+router.get(
+  "/export/:collection",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { collection } = req.params;
+    const { model, fields, filters } = TRANSFER_COLLECTIONS[collection];
+    const format = req.query.format || "json";
+
+    const listQuery = parseListQuery(model, req.query, { filters });
+    if (listQuery.error) {
+      throw new BadRequestError(listQuery.error);
+    }
+
+    const columns = listQuery.projection || [
+      "_id",
+      ...fields,
+      "createdAt",
+      "updatedAt",
+    ];
+    const docs = model
+      .find(listQuery.filter, columns)
+      .sort(Object.fromEntries(listQuery.sort))
+      .cursor()
+      .map((doc) => doc.toJSON({ flattenObjectIds: true }));
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200).set({
+      "Content-Type":
+        format === "csv" ? "text/csv; charset=utf-8" : "application/json",
+      "Content-Disposition": `attachment; filename="${collection}-${date}.${format}"`,
     });
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
-});
 
-/**
- * @swagger
- * components:
- *   schemas:
- *     RADashboardImage:
- *       type: object
- *       required:
- *         - expertId
- *         - imageurl
- *         - type
- *         - name
- *       properties:
- *         expertId:
- *           type: string
- *           description: The expert's ID
- *         imageurl:
- *           type: string
- *           description: The URL of the image
- *         type:
- *           type: string
- *           enum: ["blur", "marketing", "premium"]
- *           description: The type of the image (blur, marketing, premium)
- *         name:
- *           type: string
- *           description: The name of the image
- */
+    if (format === "csv") {
+      await pipeline(
+        docs,
+        stringifyCsv({
+          header: true,
+          columns,
+          cast: {
+            date: (value) => value.toISOString(),
+            object: (value) => JSON.stringify(value),
+          },
+        }),
+        res
+      );
+    } else {
+      await pipeline(Readable.from(toJsonArray(docs)), res);
+    }
+  })
+);
+
+// DISPLAY ORDER API'S
+
+const ORDERABLE_COLLECTIONS = {
+  images: RADashboardImage,
+  posters: Poster,
+  banners: Banner,
+};
 
 /**
  * @swagger
- * /ra-dashboard/images/{expertId}:
- *   get:
- *     summary: Get all posters by ExpertID
- *     tags: [RADashboardImage]
+ * tags:
+ *   name: Display order
+ *   description: Manual ordering and pinning of dashboard content
+ *
+ * /{collection}/order:
+ *   put:
+ *     summary: Reorder documents of a collection
+ *     description: >
+ *       Gives every listed document its index in `ids` as its position. When
+ *       `pinned` is given, exactly those documents are pinned and the other
+ *       listed ones are unpinned. Documents that are not listed keep their
+ *       position. When MongoDB runs as a replica set either every document
+ *       is updated or none is, otherwise they are updated one by one.
+ *     tags: [Display order]
+ *     security:
+ *       - adminAuth: []
  *     parameters:
  *       - in: path
- *         name: expertId
+ *         name: collection
+ *         required: true
  *         schema:
  *           type: string
- *         required: true
- *         description: The expertId of the posters
+ *           enum: [images, posters, banners]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ids]
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 minItems: 1
+ *                 uniqueItems: true
+ *                 items:
+ *                   $ref: '#/components/schemas/ObjectId'
+ *                 description: Document ids in display order
+ *               pinned:
+ *                 type: array
+ *                 uniqueItems: true
+ *                 items:
+ *                   $ref: '#/components/schemas/ObjectId'
+ *                 description: Ids from `ids` that should be pinned
  *     responses:
  *       200:
- *         description: Images for the given ExpertID retrieved successfully
+ *         description: Reordered documents, pinned first, then by position
+ *       400:
+ *         description: Invalid parameters
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Some of the ids do not exist
+ *       422:
+ *         description: Invalid body, or pinned ids that are not in `ids`
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/RADashboardImage'
- *       404:
- *         description: No images found for the provided expert ID
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  */
-router.get("/ra-dashboard/images/:expertId", async (req, res) => {
-  try {
-    const { expertId } = req.params;
-    const images = await RADashboardImage.find({ expertId });
+router.put(
+  "/:collection/order",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const model = ORDERABLE_COLLECTIONS[req.params.collection];
+    const ids = req.body.ids.map((id) => id.toLowerCase());
+    const pinned = req.body.pinned?.map((id) => id.toLowerCase());
 
-    if (!images.length) {
-      return res.status(404).json({
-        message: `No images found for expertId '${expertId}'`,
-      });
+    const unknownPins = (pinned || []).filter((id) => !ids.includes(id));
+    if (unknownPins.length) {
+      throw new ValidationError(
+        "Pinned ids must also be listed in ids",
+        unknownPins.map((id) => ({
+          in: "body",
+          field: "pinned",
+          message: `${id} is not listed in ids`,
+        }))
+      );
     }
 
+    let docs;
+    const reorder = async (session) => {
+      docs = await model.find({ _id: { $in: ids } }).session(session);
+
+      const found = new Set(docs.map((doc) => doc.id));
+      const missing = ids.filter((id) => !found.has(id));
+      if (missing.length) {
+        throw new NotFoundError(
+          `No ${req.params.collection} found with ids ${missing.join(", ")}`
+        );
+      }
+
+      for (const doc of docs) {
+        doc.position = ids.indexOf(doc.id);
+        if (pinned) doc.pinned = pinned.includes(doc.id);
+        await doc.save({ session });
+      }
+    };
+
+    // A standalone server has no transactions, a failure part way then
+    // leaves the documents saved before it reordered
+    await (isReplicaSet ? runTransaction(reorder) : reorder(null));
+
+    docs.sort((a, b) => b.pinned - a.pinned || a.position - b.position);
+
     res.status(200).json({
-      message: `Images for expertId '${expertId}' fetched successfully`,
-      data: images,
+      message: "Order updated successfully",
+      data: docs,
     });
+  })
+);
+
+// WEBHOOK API'S
+
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// Doubled after every failed attempt: 30s, 1m, 2m, 4m...
+const WEBHOOK_RETRY_BASE_MS =
+  Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS) || 15 * 1000;
+
+// Called for every audited change. Deliveries are written in the session of
+// the change and only sent once it is committed.
+const enqueueWebhookDeliveries = async (
+  model,
+  action,
+  before,
+  after,
+  session
+) => {
+  const source = WEBHOOK_SOURCES[model];
+  if (!source) return;
+
+  // Changes made outside a request, e.g. by the purge job, are not scoped
+  const { tenantId } = after || before;
+  const event = `${source}.${WEBHOOK_ACTIONS[action]}`;
+  const subscriptions = await WebhookSubscription.find(
+    { events: event, active: true, tenantId },
+    "_id",
+    { session }
+  );
+  if (!subscriptions.length) return;
+
+  const { actor } = auditContext.getStore() || {};
+  const payload = {
+    event,
+    occurredAt: new Date(),
+    actor: actor
+      ? { id: actor.id, role: actor.role }
+      : { id: "system", role: "system" },
+    data: after || before,
+  };
+
+  await WebhookDelivery.create(
+    subscriptions.map(({ _id }) => ({
+      subscriptionId: _id,
+      event,
+      payload,
+      tenantId,
+    })),
+    { session }
+  );
+
+  // Deliveries of a transaction are left to the next scheduled run. The run
+  // leaves the tenant context so it sends the deliveries of every tenant.
+  if (!session) {
+    setImmediate(() => tenantContext.exit(runWebhookDeliveries));
+  }
+};
+
+// Receivers verify X-Webhook-Signature, the hex HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<raw body>" keyed with the subscription secret.
+// Resolves with the response status.
+const sendWebhook = async (subscription, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto
+    .createHmac("sha256", subscription.secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+  const response = await fetch(subscription.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Delivery": String(delivery._id),
+      "X-Webhook-Timestamp": timestamp,
+      "X-Webhook-Signature": `sha256=${signature}`,
+    },
+    body,
+    redirect: "manual",
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  await response.body?.cancel();
+  return response.status;
+};
+
+const attemptDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscriptionId
+  ).select("+secret");
+  const attemptedAt = new Date();
+  const attempts = delivery.attempts + 1;
+  let responseStatus;
+  let error;
+
+  if (!subscription || !subscription.active) {
+    error = subscription
+      ? "Subscription is disabled"
+      : "Subscription was deleted";
+  } else {
+    try {
+      responseStatus = await sendWebhook(subscription, delivery);
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `Receiver answered with status ${responseStatus}`;
+      }
+    } catch (err) {
+      error = err.cause ? err.cause.message : err.message;
+    }
+  }
+
+  const update = { attempts, lastError: error || null };
+  if (!error) {
+    Object.assign(update, { status: "succeeded", deliveredAt: new Date() });
+  } else if (!subscription?.active || attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    update.status = "failed";
+  } else {
+    update.nextAttemptAt = new Date(
+      Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1)
+    );
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: update,
+      $push: {
+        log: {
+          attemptedAt,
+          responseStatus,
+          error,
+          durationMs: Date.now() - attemptedAt.getTime(),
+        },
+      },
+    }
+  );
+};
+
+// Leases the next due delivery so that other instances of the app skip it
+// while it is being sent
+const claimDueDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: now } },
+    {
+      $set: {
+        nextAttemptAt: new Date(now.getTime() + 2 * WEBHOOK_TIMEOUT_MS),
+      },
+    },
+    { sort: { nextAttemptAt: 1 } }
+  );
+};
+
+let webhookRunActive = false;
+
+// Sends every due delivery, one at a time. A run that starts while another
+// is active is skipped, the active run picks up its deliveries.
+const runWebhookDeliveries = async () => {
+  if (webhookRunActive) return;
+  webhookRunActive = true;
+  try {
+    let delivery;
+    while ((delivery = await claimDueDelivery())) {
+      await attemptDelivery(delivery);
+    }
   } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
+    console.error("Error sending webhooks:", error.message);
+  } finally {
+    webhookRunActive = false;
   }
-});
+};
 
-// ADMIN DASHBOARD API'S
+const scheduleWebhookDeliveries = () => {
+  runWebhookDeliveries();
+  setInterval(runWebhookDeliveries, WEBHOOK_POLL_MS).unref();
+};
 
 /**
  * @swagger
- * /admin/poster:
+ * tags:
+ *   name: Webhooks
+ *   description: >
+ *     Outbound notifications of content changes. Every delivery is a POST of
+ *     { event, occurredAt, actor, data } signed with the subscription secret:
+ *     X-Webhook-Signature is "sha256=" followed by the hex HMAC-SHA256 of
+ *     "<X-Webhook-Timestamp>.<raw body>". Failed deliveries are retried with
+ *     exponential backoff until WEBHOOK_MAX_ATTEMPTS (8 by default).
+ *
+ * components:
+ *   schemas:
+ *     WebhookEvent:
+ *       type: string
+ *       enum: [
+ *         image.created, image.updated, image.deleted, image.restored,
+ *         image.purged, poster.created, poster.updated, poster.deleted,
+ *         poster.restored, poster.purged, banner.created, banner.updated,
+ *         banner.deleted, banner.restored, banner.purged, template.created,
+ *         template.updated, template.deleted, template.restored,
+ *         template.purged, copartnerLink.created, copartnerLink.updated,
+ *         copartnerLink.deleted, copartnerLink.restored, copartnerLink.purged
+ *       ]
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           format: uri
+ *         events:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WebhookEvent'
+ *         description:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookSubscriptionInput:
+ *       type: object
+ *       minProperties: 1
+ *       properties:
+ *         url:
+ *           type: string
+ *           format: uri
+ *           description: http(s) URL that receives the deliveries
+ *         events:
+ *           type: array
+ *           minItems: 1
+ *           uniqueItems: true
+ *           items:
+ *             $ref: '#/components/schemas/WebhookEvent'
+ *         description:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *           default: true
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Also sent in the X-Webhook-Delivery header
+ *         subscriptionId:
+ *           type: string
+ *         event:
+ *           $ref: '#/components/schemas/WebhookEvent'
+ *         payload:
+ *           type: object
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *         log:
+ *           type: array
+ *           description: Every attempt, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               attemptedAt:
+ *                 type: string
+ *                 format: date-time
+ *               responseStatus:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *               durationMs:
+ *                 type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     tags: [Webhooks]
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Server error
+ *
+ *   post:
+ *     summary: Register a webhook
+ *     description: >
+ *       The response is the only one that includes the signing secret. A
+ *       random secret is generated unless one is given.
+ *     tags: [Webhooks]
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *               events:
+ *                 type: array
+ *                 minItems: 1
+ *                 uniqueItems: true
+ *                 items:
+ *                   $ref: '#/components/schemas/WebhookEvent'
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *               secret:
+ *                 type: string
+ *                 minLength: 16
+ *     responses:
+ *       201:
+ *         description: Webhook registered, with its secret
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       422:
+ *         description: Missing, unknown or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *
+ * /webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: The subscription
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ *
+ *   patch:
+ *     summary: Update a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscriptionInput'
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Webhook not found
+ *       422:
+ *         description: Unknown or invalid fields
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Delete a webhook subscription
+ *     description: Its pending deliveries fail on their next attempt.
+ *     tags: [Webhooks]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ *
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List the deliveries of a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/CreatedAtRange'
+ *       - in: query
+ *         name: status
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WebhookEvent'
+ *     responses:
+ *       200:
+ *         description: A page of deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid parameters
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ *
+ * /webhooks/{id}/deliveries/replay:
  *   post:
- *     summary: Add a new poster
- *     tags: [AdminPoster]
+ *     summary: Send failed deliveries again
+ *     description: >
+ *       Queues the failed deliveries of the webhook, or only those listed in
+ *       `ids`, for immediate sending with a fresh set of attempts.
+ *     tags: [Webhooks]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               image1url:
- *                 type: string
- *               image2url:
- *                 type: string
- *               type:
- *                 type: integer
- *                 enum: [1, 2, 3]
- *               name:
- *                 type: string
+ *               ids:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   $ref: '#/components/schemas/ObjectId'
  *     responses:
- *       201:
- *         description: Poster added successfully
- *       400:
- *         description: Bad request, missing required fields
+ *       200:
+ *         description: Number of deliveries queued
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       404:
+ *         description: Webhook not found
+ *       422:
+ *         description: Invalid body
  *       500:
  *         description: Server error
  */
-router.post("/admin/poster", async (req, res) => {
-  try {
-    const { image1url, image2url, type, name } = req.body;
 
-    if (!image1url || !image2url || !type || !name) {
-      return res
-        .status(400)
-        .json({ message: "All required fields must be provided" });
-    }
+router.get(
+  "/webhooks",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const subscriptions = await WebhookSubscription.find().sort({
+      createdAt: -1,
+    });
 
-    const newPoster = new Poster({
-      image1url,
-      image2url,
-      type,
-      name,
+    res.status(200).json({
+      message: "Webhooks retrieved successfully",
+      data: subscriptions,
     });
+  })
+);
 
-    await newPoster.save();
+router.post(
+  "/webhooks",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { url, events, description, active, secret } = req.body;
+
+    const subscription = await WebhookSubscription.create({
+      url,
+      events,
+      description,
+      active,
+      secret,
+    });
 
     res.status(201).json({
-      message: "Poster added successfully",
-      data: newPoster,
+      message: "Webhook registered successfully",
+      data: { ...subscription.toJSON(), secret: subscription.secret },
     });
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
+  })
+);
+
+router.get(
+  "/webhooks/:id",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const subscription = await WebhookSubscription.findById(id);
+
+    if (!subscription) {
+      throw new NotFoundError(`No webhook found with id '${id}'`);
+    }
+
+    res.status(200).json({
+      message: "Webhook retrieved successfully",
+      data: subscription,
+    });
+  })
+);
+
+router.patch(
+  "/webhooks/:id",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const subscription = await WebhookSubscription.findByIdAndUpdate(
+      id,
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+
+    if (!subscription) {
+      throw new NotFoundError(`No webhook found with id '${id}'`);
+    }
+
+    res.status(200).json({
+      message: "Webhook updated successfully",
+      data: subscription,
+    });
+  })
+);
+
+router.delete(
+  "/webhooks/:id",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const subscription = await WebhookSubscription.findByIdAndDelete(id);
+
+    if (!subscription) {
+      throw new NotFoundError(`No webhook found with id '${id}'`);
+    }
+
+    res.status(200).json({
+      message: "Webhook deleted successfully",
+      data: subscription,
+    });
+  })
+);
+
+router.get(
+  "/webhooks/:id/deliveries",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const listQuery = parseListQuery(WebhookDelivery, req.query, {
+      filters: ["status", "event"],
+    });
+    if (listQuery.error) {
+      throw new BadRequestError(listQuery.error);
+    }
+
+    if (!(await WebhookSubscription.exists({ _id: id }))) {
+      throw new NotFoundError(`No webhook found with id '${id}'`);
+    }
+
+    const { data, pagination } = await findPage(WebhookDelivery, listQuery, {
+      subscriptionId: id,
+    });
+    res.status(200).json({
+      message: "Deliveries retrieved successfully",
+      data,
+      pagination,
+    });
+  })
+);
+
+router.post(
+  "/webhooks/:id/deliveries/replay",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { ids } = req.body;
+
+    if (!(await WebhookSubscription.exists({ _id: id }))) {
+      throw new NotFoundError(`No webhook found with id '${id}'`);
+    }
+
+    const { modifiedCount } = await WebhookDelivery.updateMany(
+      {
+        subscriptionId: id,
+        status: "failed",
+        ...(ids && { _id: { $in: ids } }),
+      },
+      { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() } }
+    );
+
+    // Outside the tenant context, like the scheduled runs
+    setImmediate(() => tenantContext.exit(runWebhookDeliveries));
+
+    res.status(200).json({
+      message: `${modifiedCount} deliveries queued for replay`,
+      data: { queued: modifiedCount },
+    });
+  })
+);
+
+// LIVE UPDATES
+
+// Models pushed to GET /stream, keyed by the event prefix shared with the
+// webhooks (image.created, banner.deleted, ...)
+const STREAM_MODELS = {
+  image: RADashboardImage,
+  poster: Poster,
+  banner: Banner,
+  template: MessageTemplate,
+};
+
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Every content change is emitted here as { event, source, action, data }.
+// With a replica set the events come from MongoDB change streams and so
+// include writes of other app instances, otherwise from the audit hooks of
+// this process.
+const contentEvents = new EventEmitter();
+contentEvents.setMaxListeners(0);
+
+let contentChangeStreamsActive = false;
+
+const emitContentEvent = (source, action, data) => {
+  contentEvents.emit("change", {
+    event: `${source}.${action}`,
+    source,
+    action,
+    data,
+  });
+};
+
+// Runs `fn` now, or once the transaction of `session` has committed. The
+// transaction number tells apart attempts that were retried.
+const whenCommitted = (session, fn) => {
+  if (!session || !session.inTransaction()) return fn();
+
+  const { txnNumber } = session.serverSession;
+  session.once("ended", () => {
+    if (
+      session.transaction.state === "TRANSACTION_COMMITTED" &&
+      session.serverSession.txnNumber === txnNumber
+    ) {
+      fn();
+    }
+  });
+};
+
+// Fallback source, called by recordAuditEvent for every audited change.
+// Restored documents reappear for clients, purged ones were already deleted.
+const publishAuditedChange = (model, action, before, after, session) => {
+  const source = Object.keys(STREAM_MODELS).find(
+    (name) => STREAM_MODELS[name].modelName === model
+  );
+  const streamAction = {
+    create: "created",
+    update: "updated",
+    delete: "deleted",
+    restore: "created",
+  }[action];
+  if (contentChangeStreamsActive || !source || !streamAction) return;
+
+  whenCommitted(session, () =>
+    emitContentEvent(source, streamAction, after || before)
+  );
+};
+
+// Soft deletes and restores arrive as updates of deletedAt, hard deletes
+// only ever hit documents that are already in the trash
+const toStreamAction = (change) => {
+  const updated = change.updateDescription
+    ? change.updateDescription.updatedFields
+    : {};
+  const doc = change.fullDocument;
+
+  if (change.operationType === "insert") return "created";
+  if (!["update", "replace"].includes(change.operationType) || !doc) {
+    return null;
   }
-});
+  if (doc.deletedAt) return "deletedAt" in updated ? "deleted" : null;
+  return "deletedAt" in updated ? "created" : "updated";
+};
 
-/**
- * @swagger
- * components:
- *   schemas:
- *     AdminPoster:
- *       type: object
- *       required:
- *         - image1url
- *         - image2url
- *         - type
- *         - name
- *       properties:
- *         image1url:
- *           type: string
- *           description: URL of the first image
- *         image2url:
- *           type: string
- *           description: URL of the second image
- *         type:
- *           type: integer
- *           enum: [1, 2, 3]
- *           description: The type of the poster (1, 2, or 3)
- *         name:
- *           type: string
- *           description: Name of the poster
- */
+// Watches the streamed collections when the server supports change streams
+// (replica sets and sharded clusters). Falls back to the audit hooks when
+// it does not, or when a stream fails for good.
+const watchContentChanges = async () => {
+  if (!isReplicaSet) {
+    console.log("Change streams unavailable, using in-process events");
+    return;
+  }
+
+  const streams = Object.entries(STREAM_MODELS).map(([source, model]) => {
+    const stream = model.watch([], { fullDocument: "updateLookup" });
+    stream.on("change", (change) => {
+      const action = toStreamAction(change);
+      if (action) emitContentEvent(source, action, change.fullDocument);
+    });
+    stream.on("error", (error) => {
+      console.error(`Change stream of ${source} failed:`, error.message);
+      contentChangeStreamsActive = false;
+      streams.forEach((other) => other.close().catch(() => {}));
+    });
+    return stream;
+  });
+  contentChangeStreamsActive = true;
+};
+
+// Drafts and other unpublished posters and banners are only streamed to
+// admins. Anyone else is told to drop them, as if they were deleted.
+const visibleContentEvent = (change, user) => {
+  const hidden =
+    ["poster", "banner"].includes(change.source) &&
+    change.data.status !== "published" &&
+    !(user && user.role === "admin");
+
+  if (!hidden) return change;
+  if (change.action === "created") return null;
+  return {
+    ...change,
+    event: `${change.source}.deleted`,
+    action: "deleted",
+    data: { _id: change.data._id },
+  };
+};
+
+const matchesStreamFilter = ({ source, data }, query) => {
+  const sources = query.source ? String(query.source).split(",") : null;
+  const bannerTypes = query.bannerType
+    ? String(query.bannerType).split(",")
+    : null;
+
+  if (sources && !sources.includes(source)) return false;
+  if (query.expertId && source === "image") {
+    return data.expertId === query.expertId;
+  }
+  if (query.expertId && source === "template") {
+    return data.raid === query.expertId;
+  }
+  if (bannerTypes && source === "banner") {
+    // Hidden banners only carry their id and always pass
+    return !data.type || bannerTypes.includes(data.type);
+  }
+  return true;
+};
 
 /**
  * @swagger
- * /admin/posters:
+ * tags:
+ *   name: Live updates
+ *   description: Server-Sent Events for content changes
+ *
+ * /stream:
  *   get:
- *     summary: Get all posters
- *     tags: [AdminPoster]
+ *     summary: Subscribe to content changes
+ *     description: >
+ *       Keeps the connection open and sends a Server-Sent Event for every
+ *       created, updated or deleted image, poster, banner and template. The
+ *       event name is e.g. `image.created` and its data is JSON of
+ *       { event, source, action, data } where data is the document.
+ *       Unpublished posters and banners are only sent to admins, other
+ *       clients receive a `deleted` event with just the _id instead. A
+ *       comment line is sent every 25 seconds to keep proxies from closing
+ *       the connection.
+ *     tags: [Live updates]
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [image, poster, banner, template]
+ *         description: Only send events of these kinds of content
+ *       - in: query
+ *         name: expertId
+ *         schema:
+ *           type: string
+ *         description: Only send images and templates of this expert
+ *       - in: query
+ *         name: bannerType
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BannerType'
+ *         description: Only send banners of these types
  *     responses:
  *       200:
- *         description: A list of all posters
+ *         description: An endless text/event-stream
  *         content:
- *           application/json:
+ *           text/event-stream:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/AdminPoster'
- *       500:
- *         description: Server error
+ *               type: string
+ *               example: |
+ *                 event: image.created
+ *                 data: {"event":"image.created","source":"image","action":"created","data":{"_id":"...","expertId":"42","type":"premium"}}
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Invalid token
  */
-router.get("/admin/posters", async (req, res) => {
-  try {
-    const posters = await Poster.find();
-    res.status(200).json({
-      message: "Posters retrieved successfully",
-      data: posters,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
+router.get("/stream", optionalAuthenticate, validateRequest, (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stops nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const onChange = (change) => {
+    if (change.data.tenantId !== req.tenant.tenantId) return;
+    const visible = visibleContentEvent(change, req.user);
+    if (!visible || !matchesStreamFilter(visible, req.query)) return;
+    res.write(`event: ${visible.event}\ndata: ${JSON.stringify(visible)}\n\n`);
+  };
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    STREAM_HEARTBEAT_MS
+  );
+
+  contentEvents.on("change", onChange);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    contentEvents.off("change", onChange);
+  });
 });
 
+// IMAGE VARIANT API'S
+
 /**
  * @swagger
- * /admin/poster/{id}:
- *   delete:
- *     summary: Delete a poster by its ID
- *     tags: [AdminPoster]
+ * /ra-dashboard/image/{id}/variants:
+ *   post:
+ *     summary: Generate the variants of an image again
+ *     description: >
+ *       Variants are generated in the background when an image is created or
+ *       its URL changes. Use this when generation failed, e.g. because the
+ *       source URL was unreachable.
+ *     tags: [RADashboardImage]
+ *     security:
+ *       - adminAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
- *         description: The ID of the poster to delete
+ *           $ref: '#/components/schemas/ObjectId'
  *     responses:
- *       200:
- *         description: Poster deleted successfully
+ *       202:
+ *         description: Variants queued, variantsStatus is pending
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
  *       404:
- *         description: Poster not found
+ *         description: Image not found
  *       500:
  *         description: Server error
- */
-router.delete("/admin/poster/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const deletedPoster = await Poster.findByIdAndDelete(id);
-
-    if (!deletedPoster) {
-      return res
-        .status(404)
-        .json({ message: `No poster found with id '${id}'` });
-    }
-
-    res.status(200).json({
-      message: "Poster deleted successfully",
-      data: deletedPoster,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
-});
-
-/**
- * @swagger
- * /admin/poster/{id}:
- *   patch:
- *     summary: Update poster images by its ID
- *     tags: [AdminPoster]
+ *
+ * /banner/{id}/variants:
+ *   post:
+ *     summary: Generate the variants of a banner image again
+ *     tags: [Banner]
+ *     security:
+ *       - adminAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
- *         description: The ID of the poster to update
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               image1url:
- *                 type: string
- *               image2url:
- *                 type: string
- *     responses:
- *       200:
- *         description: Poster updated successfully
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       202:
+ *         description: Variants queued, variantsStatus is pending
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
  *       404:
- *         description: Poster not found
+ *         description: Banner not found
  *       500:
  *         description: Server error
  */
-router.patch("/admin/poster/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updateData = req.body;
+[
+  [RADashboardImage, "/ra-dashboard/image"],
+  [Banner, "/banner"],
+].forEach(([model, route]) => {
+  router.post(
+    `${route}/:id/variants`,
+    authenticate,
+    authorize("admin"),
+    validateRequest,
+    asyncHandler(async (req, res) => {
+      const { id } = req.params;
 
-    if (!Object.keys(updateData).length) {
-      return res
-        .status(400)
-        .json({ message: "No fields provided for update." });
-    }
+      const item = await model.findByIdAndUpdate(
+        id,
+        { $set: { variantsStatus: "pending" } },
+        { new: true }
+      );
 
-    const updatedPoster = await Poster.findByIdAndUpdate(
-      id,
-      { $set: updateData },
-      { new: true, runValidators: true }
-    );
+      if (!item) {
+        throw new NotFoundError(`No item found with id '${id}'`);
+      }
 
-    if (!updatedPoster) {
-      return res
-        .status(404)
-        .json({ message: `No poster found with id '${id}'` });
-    }
+      model.queueVariants(item._id);
 
-    res.status(200).json({
-      message: "Poster updated successfully",
-      data: updatedPoster,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
+      res.status(202).json({
+        message: "Variants queued for generation",
+        data: item,
+      });
+    })
+  );
 });
 
+// TENANT API'S
+
+// Tenants are managed by the admins of the default tenant
+const authorizePlatformAdmin = (req, res, next) => {
+  if (req.tenant.tenantId !== DEFAULT_TENANT_ID) {
+    return next(
+      new ForbiddenError("Tenants can only be managed from the default tenant")
+    );
+  }
+  next();
+};
+
 /**
  * @swagger
  * tags:
- *   name: Banner
- *   description: Banner management API
+ *   name: Tenants
+ *   description: >
+ *     Brands served by this deployment. Each tenant has its own content,
+ *     users, webhooks and audit log. Requests pick their tenant with the
+ *     X-Tenant-Id header or the host name.
  *
- * /banner:
+ * components:
+ *   schemas:
+ *     TenantSettings:
+ *       type: object
+ *       description: Types of content the tenant may create, empty lists allow all
+ *       properties:
+ *         bannerTypes:
+ *           type: array
+ *           uniqueItems: true
+ *           items:
+ *             $ref: '#/components/schemas/BannerType'
+ *         imageTypes:
+ *           type: array
+ *           uniqueItems: true
+ *           items:
+ *             $ref: '#/components/schemas/ImageType'
+ *         posterTypes:
+ *           type: array
+ *           uniqueItems: true
+ *           items:
+ *             $ref: '#/components/schemas/PosterType'
+ *     Tenant:
+ *       type: object
+ *       properties:
+ *         tenantId:
+ *           type: string
+ *           pattern: "^[a-z0-9][a-z0-9-]{1,39}$"
+ *           description: Sent in X-Tenant-Id and in the 'tenant' claim of tokens
+ *         name:
+ *           type: string
+ *         hosts:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: hostname
+ *           description: Host names that serve this tenant
+ *         settings:
+ *           $ref: '#/components/schemas/TenantSettings'
+ *         active:
+ *           type: boolean
+ *           description: Requests for inactive tenants answer 404
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /tenant:
  *   get:
- *     summary: Retrieve all banners
- *     tags: [Banner]
+ *     summary: Get the tenant of the request
+ *     description: Lets white-label clients read their name and settings
+ *     tags: [Tenants]
  *     responses:
  *       200:
- *         description: A list of banners
+ *         description: The current tenant
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Banner'
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tenantId:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     settings:
+ *                       $ref: '#/components/schemas/TenantSettings'
+ *       404:
+ *         description: Unknown or inactive tenant
+ *
+ * /tenants:
+ *   get:
+ *     summary: List all tenants
+ *     tags: [Tenants]
+ *     security:
+ *       - adminAuth: []
+ *     responses:
+ *       200:
+ *         description: Tenants by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tenant'
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Not an admin of the default tenant
  *       500:
  *         description: Server error
  *
  *   post:
- *     summary: Create a new banner
- *     tags: [Banner]
+ *     summary: Add a tenant
+ *     tags: [Tenants]
+ *     security:
+ *       - adminAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/BannerInput'
+ *             type: object
+ *             required: [tenantId, name]
+ *             properties:
+ *               tenantId:
+ *                 type: string
+ *                 pattern: "^[a-z0-9][a-z0-9-]{1,39}$"
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *               hosts:
+ *                 type: array
+ *                 uniqueItems: true
+ *                 items:
+ *                   type: string
+ *                   format: hostname
+ *               settings:
+ *                 $ref: '#/components/schemas/TenantSettings'
+ *               active:
+ *                 type: boolean
  *     responses:
  *       201:
- *         description: Banner created successfully
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Banner'
- *       400:
- *         description: Invalid input data
- *       500:
- *         description: Server error
- *
- * /banner/{id}:
- *   get:
- *     summary: Retrieve a banner by ID
- *     tags: [Banner]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: The ID of the banner to retrieve
- *     responses:
- *       200:
- *         description: Banner retrieved successfully
+ *         description: Tenant added
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Not an admin of the default tenant
+ *       409:
+ *         description: The tenant id or one of the hosts is already taken
+ *       422:
+ *         description: Missing, unknown or invalid fields
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Banner'
- *       404:
- *         description: Banner not found
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *
- *   delete:
- *     summary: Delete a banner by its ID
- *     tags: [Banner]
+ * /tenants/{tenantId}:
+ *   patch:
+ *     summary: Update a tenant
+ *     description: Only the fields that are sent are changed
+ *     tags: [Tenants]
+ *     security:
+ *       - adminAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: tenantId
  *         required: true
  *         schema:
  *           type: string
- *         description: The ID of the banner to delete
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *               hosts:
+ *                 type: array
+ *                 uniqueItems: true
+ *                 items:
+ *                   type: string
+ *                   format: hostname
+ *               settings:
+ *                 $ref: '#/components/schemas/TenantSettings'
+ *               active:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Banner deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 data:
- *                   $ref: '#/components/schemas/Banner'
+ *         description: Tenant updated
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Not an admin of the default tenant
  *       404:
- *         description: Banner not found
+ *         description: Tenant not found
+ *       409:
+ *         description: A host is already taken, or the default tenant was deactivated
+ *       422:
+ *         description: Invalid body
  *       500:
  *         description: Server error
- *
- * components:
- *   schemas:
- *     Banner:
- *       type: object
- *       properties:
- *         _id:
- *           type: string
- *           description: The auto-generated id of the banner
- *         type:
- *           type: string
- *           enum: [home, webinar, course, "premium", "website"]
- *           description: Type of the banner
- *         imageurl:
- *           type: string
- *           description: URL of the banner image
- *         name:
- *           type: string
- *           description: Name of the banner
- *         createdAt:
- *           type: string
- *           format: date-time
- *           description: The date the banner was created
- *         updatedAt:
- *           type: string
- *           format: date-time
- *           description: The date the banner was last updated
- *       required:
- *         - type
- *         - imageurl
- *         - name
- *
- *     BannerInput:
- *       type: object
- *       properties:
- *         type:
- *           type: string
- *           enum: [home, webinar, course, "premium", "website"]
- *           description: Type of the banner
- *         imageurl:
- *           type: string
- *           description: URL of the banner image
- *         name:
- *           type: string
- *           description: Name of the banner
- *       required:
- *         - type
- *         - imageurl
- *         - name
  */
 
-// Get all banners
-router.get("/banner", async (req, res) => {
-  try {
-    const banners = await Banner.find();
-    res.status(200).json(banners);
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
-});
-
-// Get a single banner by ID
-router.get("/banner/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Validate the ID format
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({ message: "Invalid banner ID format." });
-    }
-
-    const banner = await Banner.findById(id);
-
-    if (!banner) {
-      return res
-        .status(404)
-        .json({ message: `No banner found with id '${id}'` });
-    }
-
-    res.status(200).json(banner);
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
-});
-
-// Create a new banner
-router.post("/banner", async (req, res) => {
-  try {
-    const { type, imageurl, name } = req.body;
-
-    // Validate required fields
-    if (!type || !imageurl || !name) {
-      return res.status(400).json({ message: "All fields are required." });
-    }
-
-    // Validate 'type' field
-    const allowedTypes = ["home", "webinar", "course", "premium", "website"];
-    if (!allowedTypes.includes(type)) {
-      return res
-        .status(400)
-        .json({ message: `Type must be one of: ${allowedTypes.join(", ")}` });
-    }
+router.get(
+  "/tenant",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { tenantId, name, settings } = req.tenant;
 
-    const newBanner = new Banner({
-      type,
-      imageurl,
-      name,
-    });
-
-    await newBanner.save();
-    res.status(201).json({
-      message: "Banner created successfully",
-      data: newBanner,
+    res.status(200).json({
+      message: "Tenant retrieved successfully",
+      data: { tenantId, name, settings },
     });
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
-});
-
-// Delete a banner by ID
-router.delete("/banner/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // Validate the ID format
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({ message: "Invalid banner ID format." });
-    }
-
-    const deletedBanner = await Banner.findByIdAndDelete(id);
+  })
+);
 
-    if (!deletedBanner) {
-      return res
-        .status(404)
-        .json({ message: `No banner found with id '${id}'` });
-    }
+router.get(
+  "/tenants",
+  authenticate,
+  authorize("admin"),
+  authorizePlatformAdmin,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const tenants = await Tenant.find().sort({ name: 1 });
 
     res.status(200).json({
-      message: "Banner deleted successfully",
-      data: deletedBanner,
+      message: "Tenants retrieved successfully",
+      data: tenants,
     });
-  } catch (error) {
-    res.status(500).json({ message: "Server Error", error: error.message });
-  }
-});
-
-// MESSAGE TEMPLATE API'S
+  })
+);
 
-router.get("/template", async (req, res) => {
-  try {
-    const templates = await MessageTemplate.find().sort({ createdAt: -1 });
-    res.json(templates);
-  } catch (err) {
-    res.status(500).send({ error: err.message });
-  }
-});
+router.post(
+  "/tenants",
+  authenticate,
+  authorize("admin"),
+  authorizePlatformAdmin,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { tenantId, name, hosts, settings, active } = req.body;
 
-router.get("/template/:raid", async (req, res) => {
-  try {
-    const template = await MessageTemplate.find({ raid: req.params.raid }).sort(
-      { createdAt: -1 }
-    );
-    if (!template) {
-      return res
-        .status(404)
-        .send({ message: "Template not found with the provided raid" });
-    }
-    res.status(200).json(template);
-  } catch (err) {
-    res.status(500).send({ error: err.message });
-  }
-});
+    const tenant = await Tenant.create({
+      tenantId,
+      name,
+      hosts,
+      settings,
+      active,
+    });
+    tenantCache = null;
 
-// POST a new message template
-router.post("/template", async (req, res) => {
-  const { raid, templatename, headingcontent, footercontent, type } = req.body;
-
-  const newTemplate = new MessageTemplate({
-    raid,
-    templatename,
-    headingcontent,
-    footercontent,
-    type,
-  });
+    res.status(201).json({
+      message: "Tenant added successfully",
+      data: tenant,
+    });
+  })
+);
 
-  try {
-    const savedTemplate = await newTemplate.save();
-    res.status(201).json(savedTemplate);
-  } catch (err) {
-    res.status(400).send({ error: err.message });
-  }
-});
+router.patch(
+  "/tenants/:tenantId",
+  authenticate,
+  authorize("admin"),
+  authorizePlatformAdmin,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { tenantId } = req.params;
 
-// DELETE a message template by ID
-router.delete("/template/:id", async (req, res) => {
-  try {
-    const deletedTemplate = await MessageTemplate.findByIdAndDelete(
-      req.params.id
-    );
-    if (!deletedTemplate) {
-      return res.status(404).send({ message: "Template not found" });
+    if (tenantId === DEFAULT_TENANT_ID && req.body.active === false) {
+      throw new ConflictError("The default tenant cannot be deactivated");
     }
-    res.status(200).send({ message: "Template deleted successfully" });
-  } catch (err) {
-    res.status(500).send({ error: err.message });
-  }
-});
-
-// PATCH update a message template by ID
-router.patch("/template/:id", async (req, res) => {
-  const { raid, templatename, headingcontent, footercontent, type } = req.body;
 
-  try {
-    const updatedTemplate = await MessageTemplate.findByIdAndUpdate(
-      req.params.id,
-      { raid, templatename, headingcontent, footercontent, type },
-      { new: true }
+    const tenant = await Tenant.findOneAndUpdate(
+      { tenantId },
+      { $set: req.body },
+      { new: true, runValidators: true }
     );
-    if (!updatedTemplate) {
-      return res.status(404).send({ message: "Template not found" });
+
+    if (!tenant) {
+      throw new NotFoundError(`No tenant found with id '${tenantId}'`);
     }
-    res.status(200).json(updatedTemplate);
-  } catch (err) {
-    res.status(400).send({ error: err.message });
-  }
-});
+    tenantCache = null;
+
+    res.status(200).json({
+      message: "Tenant updated successfully",
+      data: tenant,
+    });
+  })
+);
+
+// CONTENT TYPE API'S
+
+// Blur teasers are made from premium images, so the code relies on these
+const REQUIRED_CONTENT_TYPES = { image: ["blur", "premium"] };
 
 /**
  * @swagger
+ * tags:
+ *   name: Content types
+ *   description: >
+ *     Registries of the image, poster and banner types. The type fields of
+ *     the content and the ImageType, PosterType and BannerType enums of this
+ *     document follow them. Changes apply to every tenant.
+ *
  * components:
  *   schemas:
- *     MessageTemplate:
+ *     ContentTypeDimensions:
  *       type: object
+ *       description: Limits in pixels for images uploaded with this type
  *       properties:
- *         raid:
+ *         minWidth:
+ *           type: integer
+ *           minimum: 1
+ *         minHeight:
+ *           type: integer
+ *           minimum: 1
+ *         maxWidth:
+ *           type: integer
+ *           minimum: 1
+ *         maxHeight:
+ *           type: integer
+ *           minimum: 1
+ *     ContentType:
+ *       type: object
+ *       properties:
+ *         kind:
  *           type: string
- *           description: The raid identifier (e.g., template1, template2, etc.)
- *         templatename:
+ *           enum: [image, poster, banner]
+ *         key:
  *           type: string
- *           description: The name of the message template
- *         headingcontent:
+ *           description: The value of the type field, a number for posters
+ *         label:
  *           type: string
- *           description: The content for the heading section
- *         footercontent:
+ *         description:
  *           type: string
- *           description: The content for the footer section
- *         type:
+ *         dimensions:
+ *           $ref: '#/components/schemas/ContentTypeDimensions'
+ *         createdAt:
  *           type: string
- *           enum: [text, html]
- *           description: The type of message (either `text` or `html`)
- */
-
-/**
- * @swagger
- * /template:
- *   get:
- *     summary: Retrieve all message templates
- *     description: Retrieve a list of all available message templates.
- *     responses:
- *       200:
- *         description: A list of message templates
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/MessageTemplate'
- *       500:
- *         description: Server error while fetching templates
- */
-
-/**
- * @swagger
- * /template/{raid}:
+ *           format: date-time
+ *
+ * /content-types:
  *   get:
- *     summary: Retrieve a message template by raid
- *     description: Retrieve the details of a specific message template using its raid identifier.
+ *     summary: List the registered content types
+ *     tags: [Content types]
  *     parameters:
- *       - in: path
- *         name: raid
- *         description: The raid identifier (e.g., raid="template1")
+ *       - in: query
+ *         name: kind
  *         schema:
  *           type: string
+ *           enum: [image, poster, banner]
+ *         description: Only return the types of this kind
  *     responses:
  *       200:
- *         description: A message template object
+ *         description: Types by kind, in the order they were added
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/MessageTemplate'
- *       404:
- *         description: Template not found with the provided raid
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContentType'
+ *       400:
+ *         description: Invalid kind
  *       500:
- *         description: Server error while fetching the template
- */
-
-/**
- * @swagger
- * /template:
+ *         description: Server error
+ *
  *   post:
- *     summary: Create a new message template
- *     description: Create a new message template by providing the necessary details.
+ *     summary: Register a content type
+ *     tags: [Content types]
+ *     security:
+ *       - adminAuth: []
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/MessageTemplate'
+ *             type: object
+ *             required: [kind, key, label]
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [image, poster, banner]
+ *               key:
+ *                 type: string
+ *                 pattern: "^[a-z0-9][a-z0-9_-]{0,39}$"
+ *                 description: Poster keys must be positive integers, e.g. "4"
+ *               label:
+ *                 type: string
+ *                 minLength: 1
+ *               description:
+ *                 type: string
+ *               dimensions:
+ *                 $ref: '#/components/schemas/ContentTypeDimensions'
  *     responses:
  *       201:
- *         description: Message template created successfully
+ *         description: Type registered
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Not an admin of the default tenant
+ *       409:
+ *         description: The type is already registered
+ *       422:
+ *         description: Missing, unknown or invalid fields
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/MessageTemplate'
- *       400:
- *         description: Invalid input, failed to create the message template
+ *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: Server error while creating the template
- */
-
-/**
- * @swagger
- * /template/{id}:
+ *         description: Server error
+ *
+ * /content-types/{kind}/{key}:
+ *   patch:
+ *     summary: Update the label, description or dimensions of a type
+ *     tags: [Content types]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [image, poster, banner]
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 minLength: 1
+ *               description:
+ *                 type: string
+ *               dimensions:
+ *                 $ref: '#/components/schemas/ContentTypeDimensions'
+ *     responses:
+ *       200:
+ *         description: Type updated
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Not an admin of the default tenant
+ *       404:
+ *         description: Type not found
+ *       422:
+ *         description: Invalid body
+ *       500:
+ *         description: Server error
+ *
  *   delete:
- *     summary: Delete a message template by ID
- *     description: Delete a message template using the provided template ID.
+ *     summary: Remove a content type
+ *     description: >
+ *       Only types that no document uses, including documents of every
+ *       tenant and in the trash, and that no tenant allows in its settings.
+ *     tags: [Content types]
+ *     security:
+ *       - adminAuth: []
  *     parameters:
  *       - in: path
- *         name: id
- *         description: The template ID
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [image, poster, banner]
+ *       - in: path
+ *         name: key
+ *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Template deleted successfully
+ *         description: Type removed
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Not an admin of the default tenant
  *       404:
- *         description: Template not found with the provided ID
+ *         description: Type not found
+ *       409:
+ *         description: >
+ *           The type is still in use, required by the service or the last
+ *           one of its kind. Details hold the number of documents and
+ *           tenants that use it.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: Server error while deleting the template
+ *         description: Server error
  */
 
+router.get(
+  "/content-types",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { kind } = req.query;
+
+    const types = await ContentType.find(kind ? { kind } : {}).sort({
+      kind: 1,
+      createdAt: 1,
+    });
+
+    res.status(200).json({
+      message: "Content types retrieved successfully",
+      data: types,
+    });
+  })
+);
+
+router.post(
+  "/content-types",
+  authenticate,
+  authorize("admin"),
+  authorizePlatformAdmin,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { kind, key, label, description, dimensions } = req.body;
+
+    const type = await ContentType.create({
+      kind,
+      key,
+      label,
+      description,
+      dimensions,
+    });
+    await refreshContentTypes();
+
+    res.status(201).json({
+      message: "Content type registered successfully",
+      data: type,
+    });
+  })
+);
+
+router.patch(
+  "/content-types/:kind/:key",
+  authenticate,
+  authorize("admin"),
+  authorizePlatformAdmin,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { kind, key } = req.params;
+
+    const type = await ContentType.findOneAndUpdate(
+      { kind, key },
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+
+    if (!type) {
+      throw new NotFoundError(`No ${kind} type found with key '${key}'`);
+    }
+    await refreshContentTypes();
+
+    res.status(200).json({
+      message: "Content type updated successfully",
+      data: type,
+    });
+  })
+);
+
+router.delete(
+  "/content-types/:kind/:key",
+  authenticate,
+  authorize("admin"),
+  authorizePlatformAdmin,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { kind, key } = req.params;
+
+    const type = await ContentType.findOne({ kind, key });
+
+    if (!type) {
+      throw new NotFoundError(`No ${kind} type found with key '${key}'`);
+    }
+    if ((REQUIRED_CONTENT_TYPES[kind] || []).includes(key)) {
+      throw new ConflictError(`The ${kind} type '${key}' is required`);
+    }
+    if ((await ContentType.countDocuments({ kind })) === 1) {
+      throw new ConflictError(`The last ${kind} type cannot be removed`);
+    }
+
+    // The raw collection also counts other tenants and the trash
+    const value = kind === "poster" ? Number(key) : key;
+    const documents = await mongoose
+      .model(CONTENT_TYPE_KINDS[kind].model)
+      .collection.countDocuments({ type: value });
+    const tenants = await Tenant.countDocuments({
+      [`settings.${kind}Types`]: value,
+    });
+
+    if (documents || tenants) {
+      throw new ConflictError(`The ${kind} type '${key}' is still in use`, {
+        documents,
+        tenants,
+      });
+    }
+
+    await type.deleteOne();
+    await refreshContentTypes();
+
+    res.status(200).json({
+      message: "Content type removed successfully",
+      data: type,
+    });
+  })
+);
+
+// SEARCH API'S
+
+// Collections searched by GET /search with their text indexed fields.
+// `kind` names the content type registry their type belongs to.
+const SEARCH_COLLECTIONS = {
+  images: { model: RADashboardImage, fields: ["name"], kind: "image" },
+  posters: {
+    model: Poster,
+    fields: ["name"],
+    kind: "poster",
+    publishable: true,
+  },
+  banners: {
+    model: Banner,
+    fields: ["name"],
+    kind: "banner",
+    publishable: true,
+  },
+  templates: {
+    model: MessageTemplate,
+    fields: ["templatename", "headingcontent", "footercontent"],
+  },
+};
+
+const SEARCH_SNIPPET_LENGTH = 160;
+
+// autoIndex only builds indexes for new collections, so deployments that
+// predate search lack the text indexes $text needs. A failing build (e.g. a
+// conflicting text index) is logged and leaves search on that collection 503.
+const migrateSearchIndexes = async () => {
+  for (const { model } of Object.values(SEARCH_COLLECTIONS)) {
+    const [fields, options] = model.schema
+      .indexes()
+      .find(([fields]) => Object.values(fields).includes("text"));
+    try {
+      await model.collection.createIndex(fields, options);
+    } catch (error) {
+      console.error(
+        `Error creating the text index of ${model.modelName}:`,
+        error.message
+      );
+    }
+  }
+};
+
+const isSearchType = (collection, type) => {
+  const { model, kind } = SEARCH_COLLECTIONS[collection];
+  return kind
+    ? Boolean(findContentType(kind, type))
+    : model.schema.path("type").enumValues.includes(type);
+};
+
+// Terms of a $text search without the negated ones, quoted phrases whole
+const searchTerms = (q) => {
+  const terms = [];
+  const words = q.replace(/(-?)"([^"]*)"/g, (match, negated, phrase) => {
+    if (!negated && phrase.trim()) terms.push(phrase.trim());
+    return " ";
+  });
+  words.split(/\s+/).forEach((word) => {
+    if (word && !word.startsWith("-")) terms.push(word);
+  });
+  return terms;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Returns the text, cut around the first match when it is long, as HTML
+// with the matches wrapped in <mark>, or null when nothing matches. Words
+// match by their start without common English endings, roughly like the
+// stemming of the text index.
+const highlightMatches = (text, terms) => {
+  const pattern = terms
+    .map((term) =>
+      escapeRegExp(term.length > 4 ? term.replace(/(ing|ed|es|s)$/i, "") : term)
+    )
+    .join("|");
+  const regex = new RegExp(`\\b(?:${pattern})\\w*`, "gi");
+
+  const first = text.search(regex);
+  if (first === -1) return null;
+
+  const start =
+    text.length > SEARCH_SNIPPET_LENGTH ? Math.max(first - 40, 0) : 0;
+  const end = Math.min(start + SEARCH_SNIPPET_LENGTH, text.length);
+  const snippet = text.slice(start, end);
+
+  let html = "";
+  let last = 0;
+  for (const match of snippet.matchAll(regex)) {
+    html += `${escapeXml(snippet.slice(last, match.index))}<mark>${escapeXml(
+      match[0]
+    )}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeXml(snippet.slice(last));
+
+  return `${start > 0 ? "…" : ""}${html}${end < text.length ? "…" : ""}`;
+};
+
 /**
  * @swagger
- * /template/{id}:
- *   patch:
- *     summary: Update a message template by ID
- *     description: Update the details of a message template using the provided template ID.
+ * tags:
+ *   name: Search
+ *   description: Full-text search across images, posters, banners and templates
+ *
+ * components:
+ *   schemas:
+ *     SearchResult:
+ *       type: object
+ *       properties:
+ *         collection:
+ *           type: string
+ *           enum: [images, posters, banners, templates]
+ *         score:
+ *           type: number
+ *           description: Text relevance, results are sorted by it
+ *         highlights:
+ *           type: object
+ *           description: >
+ *             HTML snippets of the matching fields keyed by field name, with
+ *             the matched words wrapped in <mark>. Long texts are cut around
+ *             the first match.
+ *           additionalProperties:
+ *             type: string
+ *           example:
+ *             name: "<mark>Diwali</mark> offer"
+ *         item:
+ *           description: The matching document
+ *           oneOf:
+ *             - $ref: '#/components/schemas/RADashboardImage'
+ *             - $ref: '#/components/schemas/AdminPoster'
+ *             - $ref: '#/components/schemas/Banner'
+ *             - $ref: '#/components/schemas/MessageTemplate'
+ *
+ * /search:
+ *   get:
+ *     summary: Search content by name and template text
+ *     description: >
+ *       Searches the name of images, posters and banners and the name,
+ *       heading and footer of message templates. `q` uses MongoDB text
+ *       search syntax: words match any of their forms, "quoted phrases"
+ *       must appear as given and -words exclude results. Unpublished posters
+ *       and banners are only found with an admin token.
+ *     tags: [Search]
  *     parameters:
- *       - in: path
- *         name: id
- *         description: The template ID
+ *       - in: query
+ *         name: q
+ *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/MessageTemplate'
+ *           minLength: 1
+ *           maxLength: 200
+ *       - in: query
+ *         name: collections
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [images, posters, banners, templates]
+ *         description: Collections to search, all by default
+ *       - in: query
+ *         name: type
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *         description: >
+ *           Only return items of these types. Collections that have none of
+ *           the types, e.g. templates for type=home, return nothing.
+ *       - $ref: '#/components/parameters/CreatedAtRange'
+ *       - $ref: '#/components/parameters/Limit'
  *     responses:
  *       200:
- *         description: Template updated successfully
+ *         description: The best `limit` matches, most relevant first
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/MessageTemplate'
- *       404:
- *         description: Template not found with the provided ID
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
  *       400:
- *         description: Invalid input for updating the template
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Invalid token
  *       500:
- *         description: Server error while updating the template
+ *         description: Server error
+ *       503:
+ *         description: A searched collection lacks its text index
  */
+router.get(
+  "/search",
+  optionalAuthenticate,
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { q } = req.query;
+    const listParam = (value) =>
+      [].concat(value).flatMap((item) => String(item).split(","));
+    const collections = req.query.collections
+      ? listParam(req.query.collections)
+      : Object.keys(SEARCH_COLLECTIONS);
+    const types = req.query.type ? listParam(req.query.type) : null;
+    const limit =
+      req.query.limit === undefined ? DEFAULT_PAGE_SIZE : +req.query.limit;
+    const terms = searchTerms(q);
+
+    const results = await Promise.all(
+      collections.map(async (collection) => {
+        const { model, fields, kind, publishable } =
+          SEARCH_COLLECTIONS[collection];
+
+        // Same date range filter as the list routes
+        const { filter, error } = parseListQuery(model, {
+          createdAt: req.query.createdAt,
+        });
+        if (error) throw new BadRequestError(error);
+
+        if (types) {
+          const matching = types.filter((type) =>
+            isSearchType(collection, type)
+          );
+          if (!matching.length) return [];
+          filter.type = {
+            $in: kind === "poster" ? matching.map(Number) : matching,
+          };
+        }
+
+        const docs = await model
+          .find(
+            {
+              ...filter,
+              ...(publishable && publishedFilter(req.user)),
+              $text: { $search: q },
+            },
+            { score: { $meta: "textScore" } }
+          )
+          .sort({ score: { $meta: "textScore" } })
+          .limit(limit)
+          .lean()
+          .catch((error) => {
+            // IndexNotFound: the text index is missing, see migrateSearchIndexes
+            if (error.code === 27) {
+              throw new ServiceUnavailableError(
+                `Search on ${collection} is unavailable until its text index is built`
+              );
+            }
+            throw error;
+          });
+
+        return docs.map(({ score, ...item }) => ({
+          collection,
+          score,
+          highlights: Object.fromEntries(
+            fields
+              .filter((field) => item[field])
+              .map((field) => [
+                field,
+                highlightMatches(stripHtml(String(item[field])), terms),
+              ])
+              .filter(([, snippet]) => snippet)
+          ),
+          item,
+        }));
+      })
+    );
+
+    res.status(200).json({
+      message: "Search results retrieved successfully",
+      data: results
+        .flat()
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit),
+    });
+  })
+);
+
+// FEEDBACK API'S
 
 /**
  * @swagger
  * components:
  *   schemas:
- *     CopartnerLink:
+ *     Feedback:
  *       type: object
  *       required:
- *         - copartnerId
- *         - links
+ *         - star
+ *         - description
+ *         - userId
+ *         - name
+ *         - mobileNumber
  *       properties:
- *         copartnerId:
+ *         star:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           description: Rating given by the user (1 to 5)
+ *         description:
  *           type: string
- *           description: The unique ID of the copartner
- *         links:
- *           type: array
- *           items:
- *             type: string
- *           description: List of links associated with the copartner
+ *           description: The feedback text
+ *         userId:
+ *           type: string
+ *           description: The ID of the user leaving the feedback
+ *         name:
+ *           type: string
+ *           description: The name of the user
+ *         mobileNumber:
+ *           type: string
+ *           description: 10-digit mobile number of the user
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, hidden]
+ *           description: Moderation state of the feedback
  */
 
 /**
  * @swagger
  * tags:
- *   name: CopartnerLinks
- *   description: API for managing copartner links
- */
-
-/**
- * @swagger
- * /copartnerLinks:
+ *   name: Feedback
+ *   description: User feedback and ratings API
+ *
+ * /feedback:
  *   post:
- *     summary: Create a new copartner with links
- *     tags: [CopartnerLinks]
+ *     summary: Submit new feedback
+ *     tags: [Feedback]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/CopartnerLink'
+ *             $ref: '#/components/schemas/Feedback'
  *     responses:
  *       201:
- *         description: Copartner created successfully
+ *         description: Feedback submitted successfully
+ *       422:
+ *         description: Missing, unknown or invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *
+ *   get:
+ *     summary: List feedback with pagination and filters
+ *     tags: [Feedback]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/Sort'
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/CreatedAtRange'
+ *       - in: query
+ *         name: userId
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: status
+ *         style: form
+ *         explode: false
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [pending, approved, hidden]
+ *       - in: query
+ *         name: minStar
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxStar
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only feedback created on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only feedback created on or before this date
+ *     responses:
+ *       200:
+ *         description: A page of feedback
  *         content:
  *           application/json:
  *             schema:
@@ -1206,100 +9604,331 @@ router.patch("/template/:id", async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   description: Success message
- *                 copartner:
- *                   $ref: '#/components/schemas/CopartnerLink'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Feedback'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
- *         description: Invalid input
- */
-
-/**
- * @swagger
- * /copartnerLinks:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Server error
+ *
+ * /feedback/summary:
  *   get:
- *     summary: Retrieve all copartners
- *     tags: [CopartnerLinks]
+ *     summary: Average rating and count per star value
+ *     tags: [Feedback]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, hidden]
+ *           default: approved
+ *         description: Only include feedback in this moderation state
  *     responses:
  *       200:
- *         description: List of all copartners
+ *         description: Rating summary
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/CopartnerLink'
+ *               type: object
+ *               properties:
+ *                 averageRating:
+ *                   type: number
+ *                 total:
+ *                   type: integer
+ *                 counts:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
  *       500:
  *         description: Server error
- */
-
-/**
- * @swagger
- * /copartnerLinks/{copartnerId}:
+ *
+ * /feedback/{id}:
  *   get:
- *     summary: Retrieve links by copartnerId
- *     tags: [CopartnerLinks]
+ *     summary: Retrieve a feedback by ID
+ *     tags: [Feedback]
+ *     security:
+ *       - adminAuth: []
  *     parameters:
  *       - in: path
- *         name: copartnerId
+ *         name: id
  *         required: true
  *         schema:
- *           type: string
- *           description: The ID of the copartner
+ *           $ref: '#/components/schemas/ObjectId'
  *     responses:
  *       200:
- *         description: Links for the specified copartner
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/CopartnerLink'
+ *         description: Feedback retrieved successfully
  *       404:
- *         description: Copartner not found
+ *         description: Feedback not found
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role
+ *       500:
+ *         description: Server error
+ *
+ *   patch:
+ *     summary: Update or moderate a feedback by ID
+ *     tags: [Feedback]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               star:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               description:
+ *                 type: string
+ *               userId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               mobileNumber:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, hidden]
+ *     responses:
+ *       200:
+ *         description: Feedback updated successfully
+ *       404:
+ *         description: Feedback not found
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Delete a feedback by ID
+ *     tags: [Feedback]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Feedback deleted successfully
+ *       404:
+ *         description: Feedback not found
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Insufficient role or not the owner
  *       500:
  *         description: Server error
  */
 
-router.post("/copartnerLinks", async (req, res) => {
-  try {
-    const { copartnerId, links } = req.body;
-    const newCopartner = new CopartnerLinks({ copartnerId, links });
-    await newCopartner.save();
+router.post(
+  "/feedback",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { star, description, userId, name, mobileNumber } = req.body;
+
+    // New feedback always starts in moderation
+    const newFeedback = new Feedback({
+      star,
+      description,
+      userId,
+      name,
+      mobileNumber,
+    });
+
+    await newFeedback.save();
+
     res.status(201).json({
-      message: "Copartner created successfully",
-      copartner: newCopartner,
+      message: "Feedback submitted successfully",
+      data: newFeedback,
     });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
-});
+  })
+);
 
-router.get("/copartnerLinks", async (req, res) => {
-  try {
-    const copartners = await CopartnerLinks.find();
-    res.status(200).json(copartners);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Feedback carries names and mobile numbers, only the summary is public
+router.get(
+  "/feedback",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { minStar, maxStar, from, to } = req.query;
 
-router.get("/copartnerLinks/:copartnerId", async (req, res) => {
-  try {
-    const { copartnerId } = req.params;
-    const copartner = await CopartnerLinks.findOne({ copartnerId });
-    if (!copartner) {
-      return res.status(404).json({ error: "Copartner not found" });
+    const listQuery = parseListQuery(Feedback, req.query, {
+      filters: ["status", "star", "userId"],
+    });
+    if (listQuery.error) {
+      throw new BadRequestError(listQuery.error);
     }
-    res.status(200).json(copartner);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
 
-// errorHandler.js
-const errorHandler = (err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: "Server Error", error: err.message });
-};
+    // Shorthands for star[gte]/star[lte] and createdAt[gte]/createdAt[lte]
+    const filter = {};
+
+    if (minStar || maxStar) {
+      filter.star = {};
+      if (minStar) filter.star.$gte = Number(minStar);
+      if (maxStar) filter.star.$lte = Number(maxStar);
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const { data, pagination } = await findPage(Feedback, listQuery, filter);
+
+    res.status(200).json({
+      message: "Feedback retrieved successfully",
+      data,
+      pagination,
+    });
+  })
+);
+
+router.get(
+  "/feedback/summary",
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const status = req.query.status || "approved";
+
+    const [summary] = await Feedback.aggregate([
+      { $match: { status } },
+      {
+        $facet: {
+          overall: [
+            {
+              $group: {
+                _id: null,
+                averageRating: { $avg: "$star" },
+                total: { $sum: 1 },
+              },
+            },
+          ],
+          byStar: [{ $group: { _id: "$star", count: { $sum: 1 } } }],
+        },
+      },
+    ]);
+
+    const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    summary.byStar.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+
+    const overall = summary.overall[0] || { averageRating: 0, total: 0 };
+
+    res.status(200).json({
+      message: "Feedback summary retrieved successfully",
+      data: {
+        averageRating: Math.round(overall.averageRating * 100) / 100,
+        total: overall.total,
+        counts,
+      },
+    });
+  })
+);
+
+router.get(
+  "/feedback/:id",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const feedback = await Feedback.findById(id);
+
+    if (!feedback) {
+      throw new NotFoundError(`No feedback found with id '${id}'`);
+    }
+
+    res.status(200).json({
+      message: "Feedback retrieved successfully",
+      data: feedback,
+    });
+  })
+);
+
+router.patch(
+  "/feedback/:id",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    const updatedFeedback = await Feedback.findByIdAndUpdate(
+      id,
+      { $set: updateData },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedFeedback) {
+      throw new NotFoundError(`No feedback found with id '${id}'`);
+    }
+
+    res.status(200).json({
+      message: "Feedback updated successfully",
+      data: updatedFeedback,
+    });
+  })
+);
+
+router.delete(
+  "/feedback/:id",
+  authenticate,
+  authorize("admin"),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const deletedFeedback = await Feedback.findByIdAndDelete(id);
+
+    if (!deletedFeedback) {
+      throw new NotFoundError(`No feedback found with id '${id}'`);
+    }
+
+    res.status(200).json({
+      message: "Feedback deleted successfully",
+      data: deletedFeedback,
+    });
+  })
+);
+
+app.use("/api", resolveTenant, router);
+
+app.use((req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`));
+});
 
 app.use(errorHandler);
 
-app.use("/api", router);
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start, refreshContentTypes };
@@ -0,0 +1,133 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  useApp,
+  model,
+  query,
+  token,
+  objectId,
+  storeDocument,
+  ADMIN,
+} = require("./helpers");
+
+const request = useApp();
+const AuditEvent = model("AuditEvent");
+const Banner = model("Banner");
+const MessageTemplate = model("MessageTemplate");
+const RADashboardImage = model("RADashboardImage");
+const TemplateRevision = model("TemplateRevision");
+
+const recordedEvents = () => mock.method(AuditEvent, "create", async () => []);
+
+const eventsOf = (create) =>
+  create.mock.calls.map(({ arguments: [[event]] }) => event);
+
+describe("audit events", () => {
+  it("records who created a document", async () => {
+    const create = recordedEvents();
+    mock.method(MessageTemplate.collection, "insertOne", async () => ({}));
+    mock.method(TemplateRevision, "findOne", () => query(null));
+    mock.method(TemplateRevision, "create", async () => {});
+
+    const { status, body } = await request("POST", "/template", {
+      auth: token({ sub: "e1", role: "expert" }),
+      body: { raid: "e1", templatename: "Welcome", headingcontent: "Hi" },
+    });
+
+    assert.equal(status, 201);
+    const [event] = eventsOf(create);
+    assert.equal(event.actorId, "e1");
+    assert.equal(event.actorRole, "expert");
+    assert.equal(event.action, "create");
+    assert.equal(event.model, "MessageTemplate");
+    assert.equal(event.documentId, body._id);
+    assert.equal(event.tenantId, "default");
+    assert.deepEqual(event.changes.templatename, {
+      before: undefined,
+      after: "Welcome",
+    });
+  });
+
+  it("records the changed fields of an update", async () => {
+    const create = recordedEvents();
+    const id = objectId();
+    storeDocument(RADashboardImage, {
+      _id: id,
+      expertId: "e1",
+      imageurl: "https://cdn.example.com/a.png",
+      type: "premium",
+      name: "Old name",
+      deletedAt: null,
+    });
+
+    const { status } = await request("PATCH", `/ra-dashboard/image/${id}`, {
+      auth: ADMIN,
+      body: { name: "New name" },
+    });
+
+    assert.equal(status, 200);
+    const [event] = eventsOf(create);
+    assert.equal(event.action, "update");
+    assert.equal(event.actorId, "admin-1");
+    assert.deepEqual(event.changes, {
+      name: { before: "Old name", after: "New name" },
+    });
+  });
+
+  it("records deletes", async () => {
+    const create = recordedEvents();
+    const id = objectId();
+    storeDocument(Banner, { _id: id, name: "Sale", deletedAt: null });
+
+    await request("DELETE", `/banner/${id}`, { auth: ADMIN });
+
+    const [event] = eventsOf(create);
+    assert.equal(event.action, "delete");
+    assert.equal(event.model, "Banner");
+    assert.equal(event.documentId, id);
+  });
+
+  it("keeps the change when the event cannot be stored", async () => {
+    mock.method(AuditEvent, "create", async () => {
+      throw new Error("write failed");
+    });
+    const error = mock.method(console, "error", () => {});
+    const id = objectId();
+    storeDocument(Banner, { _id: id, name: "Sale", deletedAt: null });
+
+    const { status } = await request("DELETE", `/banner/${id}`, {
+      auth: ADMIN,
+    });
+
+    assert.equal(status, 200);
+    assert.match(error.mock.calls[0].arguments[0], /audit event/);
+  });
+});
+
+describe("GET /audit", () => {
+  it("filters events", async () => {
+    const find = mock.method(AuditEvent, "find", () => query([]));
+    mock.method(AuditEvent, "countDocuments", () => query(0));
+
+    const { status } = await request(
+      "GET",
+      "/audit?actorId=e1&model=Banner&action=delete,restore",
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      actorId: "e1",
+      model: "Banner",
+      action: { $in: ["delete", "restore"] },
+    });
+  });
+
+  it("is only available to admins", async () => {
+    const { status } = await request("GET", "/audit", {
+      auth: token({ sub: "e1", role: "expert" }),
+    });
+
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { useApp, model, query, token, objectId, ADMIN } = require("./helpers");
+
+const request = useApp();
+const RADashboardImage = model("RADashboardImage");
+
+const image = {
+  expertId: "e1",
+  imageurl: "https://cdn.example.com/a.png",
+  type: "premium",
+  name: "Morning call",
+};
+
+const saveImages = () =>
+  mock.method(RADashboardImage.prototype, "save", async function () {
+    return this;
+  });
+
+describe("authentication", () => {
+  it("answers 401 without a token", async () => {
+    const { status, body } = await request("DELETE", `/banner/${objectId()}`);
+
+    assert.equal(status, 401);
+    assert.equal(body.error.code, "UNAUTHORIZED");
+  });
+
+  it("answers 401 for a token with the wrong signature", async () => {
+    const forged = jwt.sign({ sub: "a1", role: "admin" }, "other-secret");
+
+    const { status } = await request("DELETE", `/banner/${objectId()}`, {
+      auth: `Bearer ${forged}`,
+    });
+
+    assert.equal(status, 401);
+  });
+
+  it("answers 401 for an expired token", async () => {
+    const { status } = await request("DELETE", `/banner/${objectId()}`, {
+      auth: token({ exp: Math.floor(Date.now() / 1000) - 60 }),
+    });
+
+    assert.equal(status, 401);
+  });
+
+  it("answers 403 for a token of another tenant", async () => {
+    const { status } = await request("DELETE", `/banner/${objectId()}`, {
+      auth: token({ tenant: "acme" }),
+    });
+
+    assert.equal(status, 403);
+  });
+});
+
+describe("roles", () => {
+  it("keeps experts and copartners off admin routes", async () => {
+    for (const role of ["expert", "copartner"]) {
+      const { status } = await request("POST", "/admin/poster", {
+        auth: token({ sub: "e1", role }),
+        body: {},
+      });
+      assert.equal(status, 403);
+    }
+  });
+
+  it("lets an expert add images for themselves", async () => {
+    const save = saveImages();
+
+    const { status } = await request("POST", "/ra-dashboard/image", {
+      auth: token({ sub: "e1", role: "expert" }),
+      body: image,
+    });
+
+    assert.equal(status, 201);
+    assert.equal(save.mock.callCount(), 1);
+  });
+
+  it("keeps an expert from adding images for another expert", async () => {
+    const save = saveImages();
+
+    const { status } = await request("POST", "/ra-dashboard/image", {
+      auth: token({ sub: "e2", role: "expert" }),
+      body: image,
+    });
+
+    assert.equal(status, 403);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("lets admins add images for any expert", async () => {
+    saveImages();
+
+    const { status } = await request("POST", "/ra-dashboard/image", {
+      auth: ADMIN,
+      body: image,
+    });
+
+    assert.equal(status, 201);
+  });
+
+  it("keeps an expert from changing another expert's image", async () => {
+    const id = objectId();
+    mock.method(RADashboardImage, "findById", () =>
+      query({ _id: id, ...image })
+    );
+    const update = mock.method(RADashboardImage, "findByIdAndUpdate");
+
+    const { status } = await request("PATCH", `/ra-dashboard/image/${id}`, {
+      auth: token({ sub: "e2", role: "expert" }),
+      body: { name: "Mine now" },
+    });
+
+    assert.equal(status, 403);
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query, ADMIN } = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+
+const banner = {
+  type: "webinar",
+  imageurl: "https://cdn.example.com/webinar.png",
+  name: "Webinar",
+};
+
+describe("GET /banner/active", () => {
+  it("only returns published banners inside their date window", async () => {
+    const find = mock.method(Banner, "find", () => query([]));
+    const before = Date.now();
+
+    const { status, body } = await request("GET", "/banner/active");
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, []);
+    const [filter] = find.mock.calls[0].arguments;
+    assert.equal(filter.status, "published");
+    const [starts, ends] = filter.$and;
+    assert.deepEqual(starts.$or[0], { startsAt: null });
+    assert.deepEqual(ends.$or[0], { endsAt: null });
+    const now = starts.$or[1].startsAt.$lte.getTime();
+    assert.ok(now >= before && now <= Date.now());
+    assert.equal(ends.$or[1].endsAt.$gt.getTime(), now);
+  });
+
+  it("filters by type", async () => {
+    const find = mock.method(Banner, "find", () => query([]));
+
+    await request("GET", "/banner/active?type=webinar");
+
+    assert.equal(find.mock.calls[0].arguments[0].type, "webinar");
+  });
+
+  it("rejects unknown types", async () => {
+    const { status } = await request("GET", "/banner/active?type=nope");
+
+    assert.equal(status, 400);
+  });
+});
+
+describe("POST /banner", () => {
+  it("stores the campaign window and priority", async () => {
+    mock.method(Banner.prototype, "save", async function () {
+      return this;
+    });
+
+    const { status, body } = await request("POST", "/banner", {
+      auth: ADMIN,
+      body: {
+        ...banner,
+        startsAt: "2024-03-01T00:00:00Z",
+        endsAt: "2024-03-08T00:00:00Z",
+        priority: 5,
+      },
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.priority, 5);
+    assert.equal(body.data.startsAt, "2024-03-01T00:00:00.000Z");
+    assert.equal(body.data.endsAt, "2024-03-08T00:00:00.000Z");
+  });
+
+  it("rejects a window that ends before it starts", async () => {
+    const { status, body } = await request("POST", "/banner", {
+      auth: ADMIN,
+      body: {
+        ...banner,
+        startsAt: "2024-03-08T00:00:00Z",
+        endsAt: "2024-03-01T00:00:00Z",
+      },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error.message, "endsAt must be after startsAt.");
+  });
+});
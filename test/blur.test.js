@@ -0,0 +1,156 @@
+const { describe, it, mock, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns/promises");
+const fs = require("fs/promises");
+const path = require("path");
+const sharp = require("sharp");
+const {
+  useApp,
+  model,
+  query,
+  token,
+  image,
+  objectId,
+  storeDocument,
+  ADMIN,
+  UPLOAD_DIR,
+} = require("./helpers");
+
+const request = useApp();
+const RADashboardImage = model("RADashboardImage");
+
+const EXPERT = token({ sub: "e1", role: "expert" });
+
+let premium;
+let existing;
+let save;
+
+beforeEach(async () => {
+  premium = new RADashboardImage({
+    expertId: "e1",
+    imageurl: "https://images.example.com/premium.png",
+    type: "premium",
+    name: "Trade ideas",
+  });
+  existing = null;
+  const source = await image({ width: 400, height: 300 });
+
+  mock.method(dns, "lookup", async () => [
+    { address: "93.184.216.34", family: 4 },
+  ]);
+  mock.method(globalThis, "fetch", async () => new Response(source));
+  mock.method(RADashboardImage, "findById", () => query(premium));
+  mock.method(RADashboardImage, "findOne", () => query(existing));
+  save = mock.method(RADashboardImage.prototype, "save", async function () {
+    return this;
+  });
+});
+
+const blur = (body = {}, auth = EXPERT) =>
+  request("POST", `/ra-dashboard/image/${premium.id}/blur`, { auth, body });
+
+const storedFile = (url) =>
+  path.join(UPLOAD_DIR, new URL(url).pathname.replace(/^\/uploads\//, ""));
+
+describe("POST /ra-dashboard/image/:id/blur", () => {
+  it("creates a linked blur image", async () => {
+    const { status, body } = await blur({ radius: 10, watermark: "Premium" });
+
+    assert.equal(status, 201);
+    const teaser = body.data;
+    assert.equal(teaser.type, "blur");
+    assert.equal(teaser.expertId, "e1");
+    assert.equal(teaser.name, "Trade ideas (blur)");
+    assert.equal(teaser.sourceImageId, premium.id);
+    assert.deepEqual(teaser.blur, { radius: 10, watermark: "Premium" });
+
+    const { format, width, height } = await sharp(
+      await fs.readFile(storedFile(teaser.imageurl))
+    ).metadata();
+    assert.deepEqual([format, width, height], ["jpeg", 400, 300]);
+  });
+
+  it("regenerates the existing teaser and keeps its settings", async () => {
+    const { body: first } = await blur({ radius: 10, watermark: "Premium" });
+    existing = new RADashboardImage(first.data);
+
+    const { status, body } = await blur({ watermark: "" });
+
+    assert.equal(status, 200);
+    assert.equal(body.data._id, first.data._id);
+    assert.deepEqual(body.data.blur, { radius: 10, watermark: "" });
+    assert.notEqual(body.data.imageurl, first.data.imageurl);
+    await assert.rejects(fs.access(storedFile(first.data.imageurl)));
+    assert.equal(save.mock.callCount(), 2);
+  });
+
+  it("only blurs premium images", async () => {
+    premium.type = "marketing";
+
+    const { status } = await blur();
+
+    assert.equal(status, 409);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("only lets experts blur their own images", async () => {
+    const { status } = await blur({}, token({ sub: "e2", role: "expert" }));
+    const admin = await blur({}, ADMIN);
+
+    assert.equal(status, 403);
+    assert.equal(admin.status, 201);
+  });
+
+  it("answers 502 when the premium image cannot be fetched", async () => {
+    mock.method(
+      globalThis,
+      "fetch",
+      async () => new Response("gone", { status: 404 })
+    );
+
+    const { status, body } = await blur();
+
+    assert.equal(status, 502);
+    assert.match(body.error.message, /Failed to fetch image/);
+  });
+
+  it("validates the settings", async () => {
+    const { status } = await blur({ radius: 0 });
+
+    assert.equal(status, 422);
+  });
+
+  it("answers 404 for unknown images", async () => {
+    premium = null;
+
+    const { status } = await request(
+      "POST",
+      `/ra-dashboard/image/${objectId()}/blur`,
+      { auth: ADMIN, body: {} }
+    );
+
+    assert.equal(status, 404);
+  });
+
+  it("deletes the teaser along with the premium image", async () => {
+    const teaserId = objectId();
+    storeDocument(RADashboardImage, {
+      ...premium.toObject(),
+      deletedAt: null,
+    });
+    mock.method(RADashboardImage, "find", () => query([{ _id: teaserId }]));
+    const softDelete = mock.method(RADashboardImage, "softDeleteById");
+
+    const { status } = await request(
+      "DELETE",
+      `/ra-dashboard/image/${premium.id}`,
+      { auth: EXPERT }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      softDelete.mock.calls.map(({ arguments: [id] }) => String(id)),
+      [premium.id, teaserId]
+    );
+  });
+});
@@ -0,0 +1,192 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const { useApp, model, token, ADMIN } = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+const RADashboardImage = model("RADashboardImage");
+
+const rows = [
+  { type: "home", imageurl: "https://cdn.example.com/1.png", name: "One" },
+  { type: "sidebar", imageurl: "https://cdn.example.com/2.png", name: "Two" },
+  {
+    type: "home",
+    imageurl: "http://localhost:3069/uploads/banners/3.png",
+    name: "Three",
+  },
+];
+
+const createBanners = () =>
+  mock.method(Banner, "create", async (row) => new Banner(row));
+
+// model.find(...).sort(...).cursor() as used by the export
+const exportedDocs = (Model, docs) =>
+  mock.method(Model, "find", () => ({
+    sort: () => ({ cursor: () => Readable.from(docs) }),
+  }));
+
+describe("POST /bulk/:collection", () => {
+  it("reports the result of every row in partial mode", async () => {
+    const create = createBanners();
+
+    const { status, body } = await request(
+      "POST",
+      "/bulk/banners?mode=partial",
+      { auth: ADMIN, body: rows }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.message, "1 of 3 banners imported");
+    assert.equal(create.mock.callCount(), 1);
+    const [created, unknownType, ownedUrl] = body.data;
+    assert.equal(created.status, "created");
+    assert.ok(created.id);
+    assert.equal(unknownType.status, "failed");
+    assert.equal(unknownType.errors[0].field, "type");
+    assert.deepEqual(ownedUrl.errors, [
+      {
+        in: "body",
+        field: "imageurl",
+        message: "must point to an external image",
+      },
+    ]);
+  });
+
+  it("imports nothing in atomic mode when a row is invalid", async () => {
+    const create = createBanners();
+
+    const { status, body } = await request("POST", "/bulk/banners", {
+      auth: ADMIN,
+      body: rows,
+    });
+
+    assert.equal(status, 422);
+    assert.equal(create.mock.callCount(), 0);
+    assert.deepEqual(
+      body.error.details.map(({ row, field }) => ({ row, field })),
+      [
+        { row: 2, field: "type" },
+        { row: 3, field: "imageurl" },
+      ]
+    );
+  });
+
+  it("needs a replica set for atomic imports", async () => {
+    const create = createBanners();
+
+    const { status, body } = await request("POST", "/bulk/banners", {
+      auth: ADMIN,
+      body: rows.slice(0, 1),
+    });
+
+    assert.equal(status, 503);
+    assert.equal(body.error.code, "SERVICE_UNAVAILABLE");
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("reads CSV rows", async () => {
+    const create = mock.method(
+      RADashboardImage,
+      "create",
+      async (row) => new RADashboardImage(row)
+    );
+
+    const { status, body } = await request(
+      "POST",
+      "/bulk/images?mode=partial",
+      {
+        auth: ADMIN,
+        headers: { "Content-Type": "text/csv" },
+        data: [
+          "expertId,imageurl,type,name,position,pinned",
+          "e1,https://cdn.example.com/a.png,premium,A,2,true",
+          "e1,https://cdn.example.com/b.png,blur,B,,",
+        ].join("\n"),
+      }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.map(({ status }) => status),
+      ["created", "created"]
+    );
+    assert.deepEqual(create.mock.calls[0].arguments[0], {
+      expertId: "e1",
+      imageurl: "https://cdn.example.com/a.png",
+      type: "premium",
+      name: "A",
+      position: 2,
+      pinned: true,
+    });
+    assert.equal(create.mock.calls[1].arguments[0].position, undefined);
+  });
+
+  it("rejects an empty import", async () => {
+    const { status } = await request("POST", "/bulk/banners", {
+      auth: ADMIN,
+      body: [],
+    });
+
+    assert.equal(status, 422);
+  });
+
+  it("is only available to admins", async () => {
+    const { status } = await request("POST", "/bulk/banners", {
+      auth: token({ sub: "e1", role: "expert" }),
+      body: rows.slice(0, 1),
+    });
+
+    assert.equal(status, 403);
+  });
+});
+
+describe("GET /export/:collection", () => {
+  const banners = () => [
+    new Banner({ ...rows[0], createdAt: new Date("2024-01-01") }),
+    new Banner({ ...rows[2], createdAt: new Date("2024-01-02") }),
+  ];
+
+  it("streams documents as a JSON download", async () => {
+    const docs = banners();
+    exportedDocs(Banner, docs);
+
+    const { status, headers, body } = await request("GET", "/export/banners", {
+      auth: ADMIN,
+    });
+
+    assert.equal(status, 200);
+    assert.match(
+      headers.get("content-disposition"),
+      /^attachment; filename="banners-\d{4}-\d{2}-\d{2}\.json"$/
+    );
+    assert.deepEqual(
+      body.map(({ _id, name }) => ({ _id, name })),
+      docs.map(({ _id, name }) => ({ _id: String(_id), name }))
+    );
+  });
+
+  it("streams documents as CSV", async () => {
+    const docs = banners();
+    const find = exportedDocs(Banner, docs);
+
+    const { status, headers, raw } = await request(
+      "GET",
+      "/export/banners?format=csv&fields=name,createdAt",
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(headers.get("content-type"), "text/csv; charset=utf-8");
+    assert.deepEqual(find.mock.calls[0].arguments[1], [
+      "name",
+      "createdAt",
+      "_id",
+    ]);
+    assert.deepEqual(String(raw).trim().split("\n"), [
+      "name,createdAt,_id",
+      `One,2024-01-01T00:00:00.000Z,${docs[0]._id}`,
+      `Three,2024-01-02T00:00:00.000Z,${docs[1]._id}`,
+    ]);
+  });
+});
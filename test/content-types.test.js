@@ -0,0 +1,174 @@
+const { describe, it, mock, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  useApp,
+  model,
+  query,
+  token,
+  ADMIN,
+  CONTENT_TYPES,
+} = require("./helpers");
+// After the helpers, which set the environment the app reads on load
+const { refreshContentTypes } = require("..");
+
+const request = useApp();
+const Banner = model("Banner");
+const ContentType = model("ContentType");
+const Tenant = model("Tenant");
+
+let registry;
+
+beforeEach(() => {
+  registry = [...CONTENT_TYPES];
+  mock.method(ContentType, "find", () => query(registry));
+});
+
+const banner = (type) => ({
+  type,
+  imageurl: "https://cdn.example.com/banner.png",
+  name: "Banner",
+});
+
+// Mocks the lookups of DELETE /content-types/:kind/:key
+const removable = ({ count = 3, documents = 0, tenants = 0 } = {}) => {
+  const type = new ContentType({ kind: "banner", key: "webinar", label: "W" });
+  mock.method(ContentType, "findOne", () => query(type));
+  mock.method(ContentType, "countDocuments", () => query(count));
+  mock.method(Banner.collection, "countDocuments", async () => documents);
+  mock.method(Tenant, "countDocuments", () => query(tenants));
+  return mock.method(type, "deleteOne", async () => type);
+};
+
+describe("content types", () => {
+  it("lists the registered types of a kind", async () => {
+    const find = mock.method(ContentType, "find", () =>
+      query(registry.filter(({ kind }) => kind === "poster"))
+    );
+
+    const { status, body } = await request("GET", "/content-types?kind=poster");
+
+    assert.equal(status, 200);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { kind: "poster" });
+    assert.deepEqual(
+      body.data.map(({ key }) => key),
+      ["1", "2", "3"]
+    );
+  });
+
+  it("accepts new types in request validation once registered", async (t) => {
+    t.after(async () => {
+      registry = CONTENT_TYPES;
+      await refreshContentTypes();
+    });
+    mock.method(Banner, "queueVariants", () => {});
+    mock.method(Banner.collection, "insertOne", async () => ({}));
+    mock.method(ContentType.collection, "insertOne", async (doc) => {
+      registry = [...registry, doc];
+      return {};
+    });
+
+    const before = await request("POST", "/banner", {
+      auth: ADMIN,
+      body: banner("sidebar"),
+    });
+    const registered = await request("POST", "/content-types", {
+      auth: ADMIN,
+      body: { kind: "banner", key: "sidebar", label: "Sidebar" },
+    });
+    const after = await request("POST", "/banner", {
+      auth: ADMIN,
+      body: banner("sidebar"),
+    });
+
+    assert.equal(before.status, 422);
+    assert.equal(registered.status, 201);
+    assert.equal(after.status, 201);
+  });
+
+  it("rejects poster keys that are not numbers", async () => {
+    const { status } = await request("POST", "/content-types", {
+      auth: ADMIN,
+      body: { kind: "poster", key: "wide", label: "Wide" },
+    });
+
+    assert.equal(status, 422);
+  });
+
+  it("removes unused types", async () => {
+    const deleteOne = removable();
+
+    const { status } = await request(
+      "DELETE",
+      "/content-types/banner/webinar",
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(deleteOne.mock.callCount(), 1);
+  });
+
+  it("keeps types that documents or tenants use", async () => {
+    const deleteOne = removable({ documents: 4, tenants: 1 });
+
+    const { status, body } = await request(
+      "DELETE",
+      "/content-types/banner/webinar",
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 409);
+    assert.deepEqual(body.error.details, { documents: 4, tenants: 1 });
+    assert.equal(deleteOne.mock.callCount(), 0);
+  });
+
+  it("keeps the last type of a kind", async () => {
+    const deleteOne = removable({ count: 1 });
+
+    const { status, body } = await request(
+      "DELETE",
+      "/content-types/banner/webinar",
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 409);
+    assert.equal(body.error.message, "The last banner type cannot be removed");
+    assert.equal(deleteOne.mock.callCount(), 0);
+  });
+
+  it("keeps the types the service relies on", async () => {
+    mock.method(ContentType, "findOne", () =>
+      query(new ContentType({ kind: "image", key: "premium", label: "P" }))
+    );
+
+    const { status } = await request("DELETE", "/content-types/image/premium", {
+      auth: ADMIN,
+    });
+
+    assert.equal(status, 409);
+  });
+
+  it("answers 404 for unknown types", async () => {
+    mock.method(ContentType, "findOne", () => query(null));
+
+    const { status } = await request("DELETE", "/content-types/banner/nope", {
+      auth: ADMIN,
+    });
+
+    assert.equal(status, 404);
+  });
+
+  it("is managed by admins of the default tenant", async () => {
+    const expert = await request("POST", "/content-types", {
+      auth: token({ sub: "e1", role: "expert" }),
+      body: { kind: "banner", key: "sidebar", label: "Sidebar" },
+    });
+    const otherTenant = await request("POST", "/content-types", {
+      auth: token({ tenant: "acme" }),
+      headers: { "X-Tenant-Id": "acme" },
+      body: { kind: "banner", key: "sidebar", label: "Sidebar" },
+    });
+
+    assert.equal(expert.status, 403);
+    assert.equal(otherTenant.status, 403);
+  });
+});
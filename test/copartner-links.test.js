@@ -0,0 +1,188 @@
+const { describe, it, mock, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query, token, objectId, ADMIN } = require("./helpers");
+
+const request = useApp();
+const CopartnerLinks = model("CopartnerLink");
+
+const COPARTNER = token({ sub: "c1", role: "copartner" });
+
+let saved;
+
+beforeEach(() => {
+  saved = [];
+  // Validates like a real save would, without a database
+  mock.method(CopartnerLinks.prototype, "save", async function () {
+    await this.validate();
+    saved.push(this);
+    return this;
+  });
+});
+
+const existing = () => {
+  const copartner = new CopartnerLinks({
+    copartnerId: "c1",
+    links: [
+      { label: "Site", url: "https://example.com", order: 0 },
+      { label: "Shop", url: "https://shop.example.com", order: 1 },
+    ],
+  });
+  mock.method(CopartnerLinks, "findOne", () => query(copartner));
+  return copartner;
+};
+
+describe("POST /copartnerLinks", () => {
+  it("upgrades plain URLs to link items in the given order", async () => {
+    const { status, body } = await request("POST", "/copartnerLinks", {
+      auth: COPARTNER,
+      body: {
+        copartnerId: "c1",
+        links: ["https://a.example.com", { url: "https://b.example.com" }],
+      },
+    });
+
+    assert.equal(status, 201);
+    const links = body.copartner.links;
+    assert.deepEqual(
+      links.map(({ url, order, active }) => ({ url, order, active })),
+      [
+        { url: "https://a.example.com", order: 0, active: true },
+        { url: "https://b.example.com", order: 1, active: true },
+      ]
+    );
+    assert.ok(links.every(({ code }) => /^[\w-]{8}$/.test(code)));
+  });
+
+  it("rejects URLs that are not http(s)", async () => {
+    const { status } = await request("POST", "/copartnerLinks", {
+      auth: COPARTNER,
+      body: { copartnerId: "c1", links: ["javascript:alert(1)"] },
+    });
+
+    assert.equal(status, 422);
+  });
+
+  it("does not let clients choose link ids", async () => {
+    const { status } = await request("POST", "/copartnerLinks", {
+      auth: COPARTNER,
+      body: {
+        copartnerId: "c1",
+        links: [{ _id: objectId(), url: "https://a.example.com" }],
+      },
+    });
+
+    assert.equal(status, 422);
+    assert.equal(saved.length, 0);
+  });
+
+  it("keeps copartners to their own id", async () => {
+    const { status } = await request("POST", "/copartnerLinks", {
+      auth: COPARTNER,
+      body: { copartnerId: "c2", links: [] },
+    });
+
+    assert.equal(status, 403);
+  });
+});
+
+describe("PATCH and DELETE /copartnerLinks/:copartnerId", () => {
+  it("only lets admins change the copartnerId", async () => {
+    existing();
+
+    const denied = await request("PATCH", "/copartnerLinks/c1", {
+      auth: COPARTNER,
+      body: { copartnerId: "c2" },
+    });
+    const allowed = await request("PATCH", "/copartnerLinks/c1", {
+      auth: ADMIN,
+      body: { copartnerId: "c2" },
+    });
+
+    assert.equal(denied.status, 403);
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.body.copartner.copartnerId, "c2");
+  });
+
+  it("deletes the copartner", async () => {
+    const copartner = existing();
+    const deleteOne = mock.method(copartner, "deleteOne", async () => {});
+
+    const { status } = await request("DELETE", "/copartnerLinks/c1", {
+      auth: COPARTNER,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(deleteOne.mock.callCount(), 1);
+  });
+
+  it("answers 404 for unknown copartners", async () => {
+    mock.method(CopartnerLinks, "findOne", () => query(null));
+
+    const { status } = await request("DELETE", "/copartnerLinks/c1", {
+      auth: COPARTNER,
+    });
+
+    assert.equal(status, 404);
+  });
+});
+
+describe("single links", () => {
+  it("appends a link after the last one", async () => {
+    existing();
+
+    const { status, body } = await request("POST", "/copartnerLinks/c1/links", {
+      auth: COPARTNER,
+      body: { label: "Blog", url: "https://blog.example.com" },
+    });
+
+    assert.equal(status, 201);
+    const added = body.copartner.links[2];
+    assert.equal(added.label, "Blog");
+    assert.equal(added.order, 2);
+  });
+
+  it("updates a link", async () => {
+    const copartner = existing();
+    const linkId = copartner.links[1]._id;
+
+    const { status, body } = await request(
+      "PATCH",
+      `/copartnerLinks/c1/links/${linkId}`,
+      { auth: COPARTNER, body: { active: false, label: "Store" } }
+    );
+
+    assert.equal(status, 200);
+    const link = body.copartner.links.find(({ _id }) => _id === String(linkId));
+    assert.equal(link.active, false);
+    assert.equal(link.label, "Store");
+  });
+
+  it("removes a link", async () => {
+    const copartner = existing();
+    const linkId = copartner.links[0]._id;
+
+    const { status, body } = await request(
+      "DELETE",
+      `/copartnerLinks/c1/links/${linkId}`,
+      { auth: COPARTNER }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.copartner.links.map(({ label }) => label),
+      ["Shop"]
+    );
+  });
+
+  it("answers 404 for unknown links", async () => {
+    existing();
+
+    const { status } = await request(
+      "PATCH",
+      `/copartnerLinks/c1/links/${objectId()}`,
+      { auth: COPARTNER, body: { active: false } }
+    );
+
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { useApp, model, query, objectId, ADMIN } = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+const Feedback = model("Feedback");
+
+const ENVELOPE_KEYS = ["code", "details", "message", "requestId"];
+
+describe("error responses", () => {
+  it("answers unknown routes with a 404 envelope", async () => {
+    const { status, body, headers } = await request("GET", "/nope");
+
+    assert.equal(status, 404);
+    assert.equal(body.error.code, "NOT_FOUND");
+    assert.equal(body.error.message, "Cannot GET /api/nope");
+    assert.equal(body.error.requestId, headers.get("x-request-id"));
+  });
+
+  it("echoes the request id a proxy assigned", async () => {
+    const { body, headers } = await request("GET", "/nope", {
+      headers: { "X-Request-Id": "req-42" },
+    });
+
+    assert.equal(headers.get("x-request-id"), "req-42");
+    assert.equal(body.error.requestId, "req-42");
+  });
+
+  it("hides the details of unexpected errors", async () => {
+    mock.method(Banner, "findOne", () => query(new Error("socket closed")));
+    const logged = mock.method(console, "error", () => {});
+
+    const { status, body } = await request("GET", `/banner/${objectId()}`);
+
+    assert.equal(status, 500);
+    assert.deepEqual(Object.keys(body.error).sort(), [
+      "code",
+      "message",
+      "requestId",
+    ]);
+    assert.equal(body.error.code, "INTERNAL_SERVER_ERROR");
+    assert.equal(body.error.message, "Internal server error");
+    assert.match(logged.mock.calls[0].arguments[1], /socket closed/);
+  });
+
+  it("answers malformed JSON with a 400", async () => {
+    const { status, body } = await request("POST", "/feedback", {
+      headers: { "Content-Type": "application/json" },
+      data: "{not json",
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error.code, "BAD_REQUEST");
+  });
+
+  it("maps duplicate keys to 409", async () => {
+    mock.method(Feedback.prototype, "save", async () => {
+      throw Object.assign(new Error("E11000"), {
+        code: 11000,
+        keyValue: { userId: "u1" },
+      });
+    });
+
+    const { status, body } = await request("POST", "/feedback", {
+      body: {
+        star: 5,
+        description: "Great",
+        userId: "u1",
+        name: "Asha",
+        mobileNumber: "9999999999",
+      },
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.error.code, "CONFLICT");
+    assert.deepEqual(body.error.details, [
+      { field: "userId", message: "must be unique" },
+    ]);
+  });
+
+  it("maps model validation errors to 422", async () => {
+    mock.method(Feedback, "findByIdAndUpdate", () => {
+      const error = new mongoose.Error.ValidationError();
+      error.addError(
+        "star",
+        new mongoose.Error.ValidatorError({
+          path: "star",
+          message: "Path `star` (9) is more than maximum allowed value (5).",
+        })
+      );
+      return query(error);
+    });
+
+    const { status, body } = await request("PATCH", `/feedback/${objectId()}`, {
+      auth: ADMIN,
+      body: { status: "approved" },
+    });
+
+    assert.equal(status, 422);
+    assert.deepEqual(Object.keys(body.error).sort(), ENVELOPE_KEYS);
+    assert.equal(body.error.details[0].field, "star");
+  });
+});
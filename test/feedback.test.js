@@ -0,0 +1,168 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query, token, objectId, ADMIN } = require("./helpers");
+
+const request = useApp();
+const Feedback = model("Feedback");
+
+const feedback = {
+  star: 4,
+  description: "Helpful",
+  userId: "u1",
+  name: "Asha",
+  mobileNumber: "9999999999",
+};
+
+describe("POST /feedback", () => {
+  it("stores new feedback as pending", async () => {
+    const save = mock.method(Feedback.prototype, "save", async function () {
+      return this;
+    });
+
+    const { status, body } = await request("POST", "/feedback", {
+      body: feedback,
+    });
+
+    assert.equal(status, 201);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(body.data.status, "pending");
+  });
+
+  it("rejects a rating outside 1-5", async () => {
+    const { status, body } = await request("POST", "/feedback", {
+      body: { ...feedback, star: 6 },
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.error.code, "VALIDATION_FAILED");
+  });
+
+  it("ignores a moderation status sent by the client", async () => {
+    mock.method(Feedback.prototype, "save", async function () {
+      return this;
+    });
+
+    const { body } = await request("POST", "/feedback", {
+      body: { ...feedback, status: "approved" },
+    });
+
+    assert.equal(body.data.status, "pending");
+  });
+});
+
+describe("GET /feedback", () => {
+  it("is only available to admins", async () => {
+    assert.equal((await request("GET", "/feedback")).status, 401);
+    const { status } = await request("GET", "/feedback", {
+      auth: token({ role: "expert" }),
+    });
+    assert.equal(status, 403);
+  });
+
+  it("filters by star range and date with the shorthands", async () => {
+    const find = mock.method(Feedback, "find", () => query([]));
+    mock.method(Feedback, "countDocuments", () => query(0));
+
+    const { status } = await request(
+      "GET",
+      "/feedback?minStar=4&maxStar=5&from=2024-01-01T00:00:00Z",
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 200);
+    const [filter] = find.mock.calls[0].arguments;
+    assert.deepEqual(filter.star, { $gte: 4, $lte: 5 });
+    assert.deepEqual(filter.createdAt, {
+      $gte: new Date("2024-01-01T00:00:00Z"),
+    });
+  });
+
+  it("keeps the shorthand bounds when the field is also filtered", async () => {
+    const find = mock.method(Feedback, "find", () => query([]));
+    mock.method(Feedback, "countDocuments", () => query(0));
+
+    await request("GET", "/feedback?minStar=4&star[lte]=5", { auth: ADMIN });
+
+    const [{ $and }] = find.mock.calls[0].arguments;
+    assert.equal($and[0].star.$gte, 4);
+    assert.equal(Number($and[1].star.$lte), 5);
+  });
+});
+
+describe("GET /feedback/summary", () => {
+  it("averages the approved ratings and counts every star", async () => {
+    const aggregate = mock.method(Feedback, "aggregate", async () => [
+      {
+        overall: [{ _id: null, averageRating: 4.333, total: 3 }],
+        byStar: [
+          { _id: 5, count: 1 },
+          { _id: 4, count: 2 },
+        ],
+      },
+    ]);
+
+    const { status, body } = await request("GET", "/feedback/summary");
+
+    assert.equal(status, 200);
+    assert.deepEqual(aggregate.mock.calls[0].arguments[0][0], {
+      $match: { status: "approved" },
+    });
+    assert.deepEqual(body.data, {
+      averageRating: 4.33,
+      total: 3,
+      counts: { 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 },
+    });
+  });
+
+  it("reports zero without any feedback", async () => {
+    mock.method(Feedback, "aggregate", async () => [
+      { overall: [], byStar: [] },
+    ]);
+
+    const { body } = await request("GET", "/feedback/summary");
+
+    assert.equal(body.data.averageRating, 0);
+    assert.equal(body.data.total, 0);
+  });
+});
+
+describe("PATCH /feedback/:id", () => {
+  it("moderates feedback", async () => {
+    const update = mock.method(Feedback, "findByIdAndUpdate", (id, change) =>
+      query({ _id: id, ...feedback, ...change.$set })
+    );
+
+    const { status, body } = await request("PATCH", `/feedback/${objectId()}`, {
+      auth: ADMIN,
+      body: { status: "hidden" },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.status, "hidden");
+    assert.deepEqual(update.mock.calls[0].arguments[1], {
+      $set: { status: "hidden" },
+    });
+  });
+
+  it("answers 404 for unknown feedback", async () => {
+    mock.method(Feedback, "findByIdAndUpdate", () => query(null));
+
+    const { status, body } = await request("PATCH", `/feedback/${objectId()}`, {
+      auth: ADMIN,
+      body: { status: "approved" },
+    });
+
+    assert.equal(status, 404);
+    assert.equal(body.error.code, "NOT_FOUND");
+  });
+});
+
+describe("DELETE /feedback/:id", () => {
+  it("rejects ids that are not ObjectIds", async () => {
+    const { status } = await request("DELETE", "/feedback/nope", {
+      auth: ADMIN,
+    });
+
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,223 @@
+// Route tests run the app against mocked model methods, no MongoDB needed.
+// Every test file calls useApp() once and mocks what its routes query.
+const { before, after, beforeEach, afterEach, mock } = require("node:test");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+
+process.env.JWT_SECRET = "test-secret";
+process.env.IP_HASH_SALT = "test-salt";
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), `uploads-${process.pid}`);
+
+// Tests may mock the global fetch the app uses for outgoing requests
+const { fetch } = globalThis;
+
+// A query that is not mocked fails at once instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+const { app, refreshContentTypes } = require("..");
+
+const CONTENT_TYPES = [
+  { kind: "image", key: "blur", label: "Blur" },
+  { kind: "image", key: "marketing", label: "Marketing" },
+  { kind: "image", key: "premium", label: "Premium" },
+  { kind: "poster", key: "1", label: "Side by side" },
+  { kind: "poster", key: "2", label: "Stacked" },
+  { kind: "poster", key: "3", label: "Inset" },
+  { kind: "banner", key: "home", label: "Home" },
+  { kind: "banner", key: "webinar", label: "Webinar" },
+  { kind: "banner", key: "premium", label: "Premium" },
+];
+
+const TENANTS = [
+  { tenantId: "default", name: "Default", hosts: [], active: true },
+  { tenantId: "acme", name: "Acme", hosts: [], active: true, settings: {} },
+  {
+    tenantId: "webinars",
+    name: "Webinars",
+    hosts: ["localhost"],
+    active: true,
+    settings: { bannerTypes: ["webinar"] },
+  },
+  { tenantId: "closed", name: "Closed", hosts: [], active: false },
+];
+
+const model = (name) => mongoose.model(name);
+
+// A chainable, awaitable stand-in for a mongoose Query resolving to result.
+// calls holds the arguments of the last call of each chained method.
+const query = (result) => {
+  const chain = {
+    calls: {},
+    then: (resolve, reject) =>
+      Promise.resolve()
+        .then(() => (result instanceof Error ? Promise.reject(result) : result))
+        .then(resolve, reject),
+    catch: (reject) => chain.then(undefined, reject),
+  };
+  [
+    "sort",
+    "skip",
+    "limit",
+    "lean",
+    "select",
+    "populate",
+    "session",
+    "collation",
+    "where",
+    "setOptions",
+  ].forEach((method) => {
+    chain[method] = (...args) => {
+      chain.calls[method] = args;
+      return chain;
+    };
+  });
+  chain.exec = () => chain.then();
+  return chain;
+};
+
+// Matches the filters the soft delete and audit hooks send to the driver
+const matchesFilter = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (condition === null) return doc[field] == null;
+    if (condition && condition.$ne === null) return doc[field] != null;
+    return String(doc[field]) === String(condition);
+  });
+
+// Backs the driver collection of Model with one document of the default
+// tenant, so routes run through the model hooks as they would against
+// MongoDB. Returns a getter for the stored state.
+const storeDocument = (Model, doc) => {
+  let stored = { tenantId: "default", ...doc };
+  const find = (filter) =>
+    stored && matchesFilter(stored, filter) ? stored : null;
+
+  mock.method(Model.collection, "findOne", async (filter) => find(filter));
+  mock.method(Model.collection, "findOneAndUpdate", async (filter, update) => {
+    if (!find(filter)) return null;
+    stored = { ...stored, ...update.$set };
+    return stored;
+  });
+  return () => stored;
+};
+
+const token = (claims = {}) =>
+  `Bearer ${jwt.sign(
+    { sub: "admin-1", role: "admin", ...claims },
+    process.env.JWT_SECRET
+  )}`;
+
+const ADMIN = token();
+
+const objectId = () => new mongoose.Types.ObjectId().toString();
+
+// A solid colour image, encoded as PNG unless another format is given
+const image = ({ width = 200, height = 200, format = "png" } = {}) =>
+  sharp({
+    create: { width, height, channels: 3, background: "#3366cc" },
+  })
+    .toFormat(format)
+    .toBuffer();
+
+const useApp = () => {
+  let server;
+
+  before(async () => {
+    mock.method(model("ContentType"), "find", () => query(CONTENT_TYPES));
+    await refreshContentTypes();
+    mock.restoreAll();
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    server.close();
+    await fs.rm(process.env.UPLOAD_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.method(model("Tenant"), "find", () => query(TENANTS));
+    // Every audited change records an event and looks for webhooks, tests
+    // that check those mock them again
+    mock.method(model("AuditEvent"), "create", async () => []);
+    mock.method(model("WebhookSubscription"), "find", () => query([]));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  // Sends a JSON body, a FormData as multipart or raw data to the API.
+  // Responses come back raw and, when they are JSON, parsed as body. With
+  // stream the body is left unread for the caller, who ends it by aborting
+  // the signal. fetch cannot set the Host header, host picks the name the
+  // request is sent to instead.
+  return async (
+    method,
+    url,
+    {
+      body,
+      form,
+      data,
+      auth,
+      headers = {},
+      host = "127.0.0.1",
+      stream,
+      signal,
+    } = {}
+  ) => {
+    const response = await fetch(
+      `http://${host}:${server.address().port}/api${url}`,
+      {
+        method,
+        redirect: "manual",
+        headers: {
+          ...(body !== undefined && { "Content-Type": "application/json" }),
+          ...(auth && { Authorization: auth }),
+          ...headers,
+        },
+        body:
+          form ||
+          data ||
+          (body === undefined ? undefined : JSON.stringify(body)),
+        signal,
+      }
+    );
+    if (stream) {
+      return {
+        status: response.status,
+        headers: response.headers,
+        body: response.body,
+      };
+    }
+    const raw = Buffer.from(await response.arrayBuffer());
+    let json;
+    try {
+      json = JSON.parse(raw);
+    } catch (error) {
+      json = undefined;
+    }
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: json,
+      raw,
+    };
+  };
+};
+
+module.exports = {
+  useApp,
+  model,
+  query,
+  token,
+  objectId,
+  storeDocument,
+  image,
+  ADMIN,
+  CONTENT_TYPES,
+  UPLOAD_DIR: process.env.UPLOAD_DIR,
+};
@@ -0,0 +1,153 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { useApp, model, query, token } = require("./helpers");
+
+const request = useApp();
+const CopartnerLinks = model("CopartnerLink");
+const LinkClick = model("LinkClick");
+
+const COPARTNER = token({ sub: "c1", role: "copartner" });
+
+const copartner = (links) =>
+  new CopartnerLinks({ tenantId: "default", copartnerId: "c1", links });
+
+describe("GET /r/:code", () => {
+  it("records the click and redirects to the link", async () => {
+    const found = copartner([{ url: "https://example.com/offer" }]);
+    const findOne = mock.method(CopartnerLinks, "findOne", () => query(found));
+    const create = mock.method(LinkClick, "create", async () => {});
+
+    const { status, headers } = await request("GET", "/r/abc123", {
+      headers: { Referer: "https://social.example.com/", "User-Agent": "t" },
+    });
+
+    assert.equal(status, 302);
+    assert.equal(headers.get("location"), "https://example.com/offer");
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      "links.code": "abc123",
+    });
+    const [click] = create.mock.calls[0].arguments;
+    assert.equal(click.copartnerId, "c1");
+    assert.equal(String(click.linkId), String(found.links[0]._id));
+    assert.equal(click.code, "abc123");
+    assert.equal(click.referrer, "https://social.example.com/");
+    assert.equal(click.userAgent, "t");
+  });
+
+  it("stores a salted hash instead of the IP", async () => {
+    mock.method(CopartnerLinks, "findOne", () =>
+      query(copartner([{ url: "https://example.com" }]))
+    );
+    const create = mock.method(LinkClick, "create", async () => {});
+
+    await request("GET", "/r/abc123");
+
+    const [{ ipHash }] = create.mock.calls[0].arguments;
+    // The server sees IPv4 clients as mapped addresses when it listens on ::
+    const hashes = ["127.0.0.1", "::ffff:127.0.0.1"].map((ip) =>
+      crypto.createHash("sha256").update(`test-salt${ip}`).digest("hex")
+    );
+    assert.ok(hashes.includes(ipHash));
+  });
+
+  it("files the click under the tenant of the link", async () => {
+    mock.method(CopartnerLinks, "findOne", () =>
+      query(copartner([{ url: "https://example.com" }]))
+    );
+    const create = mock.method(LinkClick, "create", async () => {});
+
+    const { status } = await request("GET", "/r/abc123", {
+      headers: { "X-Tenant-Id": "acme" },
+    });
+
+    assert.equal(status, 302);
+    assert.equal(create.mock.calls[0].arguments[0].tenantId, "default");
+  });
+
+  it("still redirects when the click cannot be stored", async () => {
+    mock.method(CopartnerLinks, "findOne", () =>
+      query(copartner([{ url: "https://example.com" }]))
+    );
+    mock.method(LinkClick, "create", async () => {
+      throw new Error("write failed");
+    });
+    mock.method(console, "error", () => {});
+
+    const { status } = await request("GET", "/r/abc123");
+
+    assert.equal(status, 302);
+  });
+
+  it("answers 404 for unknown and inactive links", async () => {
+    const findOne = mock.method(CopartnerLinks, "findOne", () => query(null));
+    assert.equal((await request("GET", "/r/nope")).status, 404);
+
+    findOne.mock.mockImplementation(() =>
+      query(copartner([{ url: "https://example.com", active: false }]))
+    );
+    assert.equal((await request("GET", "/r/abc123")).status, 404);
+  });
+});
+
+describe("GET /copartnerLinks/:copartnerId/stats", () => {
+  it("counts clicks per link and day", async () => {
+    const found = copartner([
+      { label: "Site", url: "https://example.com" },
+      { label: "Shop", url: "https://shop.example.com" },
+    ]);
+    const [site] = found.links;
+    const removed = new CopartnerLinks().links.create({ url: "https://x.y" });
+    mock.method(CopartnerLinks, "findOne", () => query(found));
+    const aggregate = mock.method(LinkClick, "aggregate", async () => [
+      {
+        _id: site._id,
+        total: 3,
+        daily: [
+          { date: "2024-03-01", count: 1 },
+          { date: "2024-03-02", count: 2 },
+        ],
+      },
+      { _id: removed._id, total: 1, daily: [{ date: "2024-02-01", count: 1 }] },
+    ]);
+
+    const { status, body } = await request(
+      "GET",
+      "/copartnerLinks/c1/stats?from=2024-01-01T00:00:00Z",
+      { auth: COPARTNER }
+    );
+
+    assert.equal(status, 200);
+    const [{ $match }] = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual($match.$or[0].linkId.$in.map(String), [
+      String(site._id),
+      String(found.links[1]._id),
+    ]);
+    assert.deepEqual($match.$or[1], { copartnerId: "c1" });
+    assert.deepEqual($match.createdAt, {
+      $gte: new Date("2024-01-01T00:00:00Z"),
+    });
+    assert.equal(body.total, 4);
+    assert.deepEqual(
+      body.links.map(({ label, total, removed }) => ({
+        label,
+        total,
+        removed,
+      })),
+      [
+        { label: "Site", total: 3, removed: undefined },
+        { label: "Shop", total: 0, removed: undefined },
+        { label: undefined, total: 1, removed: true },
+      ]
+    );
+    assert.equal(body.links[0].daily.length, 2);
+  });
+
+  it("keeps copartners to their own stats", async () => {
+    const { status } = await request("GET", "/copartnerLinks/c2/stats", {
+      auth: COPARTNER,
+    });
+
+    assert.equal(status, 403);
+  });
+});
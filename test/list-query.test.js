@@ -0,0 +1,122 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query } = require("./helpers");
+
+const request = useApp();
+const RADashboardImage = model("RADashboardImage");
+
+const images = (count) =>
+  Array.from(
+    { length: count },
+    (_, index) =>
+      new RADashboardImage({
+        expertId: "e1",
+        imageurl: `https://cdn.example.com/${index}.png`,
+        type: "premium",
+        name: `Image ${index}`,
+        createdAt: new Date(Date.UTC(2024, 0, 31 - index)),
+      })
+  );
+
+// Mocks find and countDocuments and returns the find query for inspection
+const listImages = (docs, total = docs.length) => {
+  const found = query(docs);
+  const find = mock.method(RADashboardImage, "find", () => found);
+  mock.method(RADashboardImage, "countDocuments", () => query(total));
+  return { find, found };
+};
+
+describe("list queries", () => {
+  it("pages with page and limit", async () => {
+    const { found } = listImages(images(5), 15);
+
+    const { status, body } = await request(
+      "GET",
+      "/ra-dashboard/images?page=3&limit=5"
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.data.length, 5);
+    assert.deepEqual(body.pagination, {
+      page: 3,
+      limit: 5,
+      total: 15,
+      totalPages: 3,
+      hasNextPage: false,
+    });
+    assert.deepEqual(found.calls.skip, [10]);
+    assert.deepEqual(found.calls.limit, [5]);
+  });
+
+  it("sorts pinned items first by default and breaks ties by _id", async () => {
+    const { found } = listImages([]);
+
+    await request("GET", "/ra-dashboard/images");
+
+    assert.deepEqual(found.calls.sort, [
+      { pinned: -1, position: 1, createdAt: -1, _id: -1 },
+    ]);
+  });
+
+  it("sorts, filters and projects as asked", async () => {
+    const { find, found } = listImages([]);
+
+    await request(
+      "GET",
+      "/ra-dashboard/images?sort=name&type=premium,blur&createdAt[gte]=2024-01-01&fields=name"
+    );
+
+    const [filter, projection] = find.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      type: { $in: ["premium", "blur"] },
+      createdAt: { $gte: "2024-01-01" },
+    });
+    assert.deepEqual(projection, ["name", "_id"]);
+    assert.deepEqual(found.calls.sort, [{ name: 1, _id: 1 }]);
+  });
+
+  it("pages with cursors", async () => {
+    const docs = images(3);
+    const { find } = listImages(docs);
+
+    const first = await request(
+      "GET",
+      "/ra-dashboard/images?cursor=&limit=2&sort=-createdAt"
+    );
+
+    assert.equal(first.body.data.length, 2);
+    assert.equal(first.body.pagination.hasNextPage, true);
+    const cursor = first.body.pagination.nextCursor;
+    assert.deepEqual(JSON.parse(Buffer.from(cursor, "base64url")), [
+      docs[1].createdAt.toISOString(),
+      String(docs[1]._id),
+    ]);
+
+    find.mock.mockImplementation(() => query([docs[2]]));
+    const second = await request(
+      "GET",
+      `/ra-dashboard/images?cursor=${cursor}&limit=2&sort=-createdAt`
+    );
+
+    assert.equal(second.body.pagination.hasNextPage, false);
+    assert.equal(second.body.pagination.nextCursor, null);
+    const [{ $and }] = find.mock.calls[1].arguments;
+    assert.deepEqual($and[1].$or[0], {
+      createdAt: { $lt: docs[1].createdAt.toISOString() },
+    });
+  });
+
+  it("rejects invalid parameters", async () => {
+    for (const search of [
+      "limit=500",
+      "page=0",
+      "sort=imageurl",
+      "cursor=not-a-cursor",
+      "fields=secret",
+      "name[gte]=a",
+    ]) {
+      const { status } = await request("GET", `/ra-dashboard/images?${search}`);
+      assert.equal(status, 400, search);
+    }
+  });
+});
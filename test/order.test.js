@@ -0,0 +1,114 @@
+const { describe, it, mock, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query, token, objectId, ADMIN } = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+
+let banners;
+let save;
+
+beforeEach(() => {
+  banners = ["A", "B", "C"].map(
+    (name, position) =>
+      new Banner({
+        type: "home",
+        imageurl: `https://cdn.example.com/${name}.png`,
+        name,
+        position,
+        pinned: name === "A",
+      })
+  );
+  mock.method(Banner, "find", (filter) =>
+    query(banners.filter(({ id }) => filter._id.$in.includes(id.toLowerCase())))
+  );
+  save = mock.method(Banner.prototype, "save", async function () {
+    return this;
+  });
+});
+
+const ids = (...names) =>
+  names.map((name) => banners.find((banner) => banner.name === name).id);
+
+describe("PUT /:collection/order", () => {
+  it("stores the listed order as positions", async () => {
+    const { status, body } = await request("PUT", "/banners/order", {
+      auth: ADMIN,
+      body: { ids: ids("C", "B") },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(save.mock.callCount(), 2);
+    assert.deepEqual(
+      body.data.map(({ name, position }) => ({ name, position })),
+      [
+        { name: "C", position: 0 },
+        { name: "B", position: 1 },
+      ]
+    );
+    assert.equal(banners[0].position, 0);
+  });
+
+  it("pins exactly the given documents", async () => {
+    const { body } = await request("PUT", "/banners/order", {
+      auth: ADMIN,
+      body: { ids: ids("A", "B", "C"), pinned: ids("C") },
+    });
+
+    assert.deepEqual(
+      body.data.map(({ name, pinned }) => ({ name, pinned })),
+      [
+        { name: "C", pinned: true },
+        { name: "A", pinned: false },
+        { name: "B", pinned: false },
+      ]
+    );
+  });
+
+  it("rejects pinned ids that are not listed", async () => {
+    const { status, body } = await request("PUT", "/banners/order", {
+      auth: ADMIN,
+      body: { ids: ids("A"), pinned: ids("B") },
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.error.details[0].field, "pinned");
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("answers 404 when an id does not exist", async () => {
+    const unknown = objectId();
+
+    const { status, body } = await request("PUT", "/banners/order", {
+      auth: ADMIN,
+      body: { ids: [...ids("A"), unknown] },
+    });
+
+    assert.equal(status, 404);
+    assert.match(body.error.message, new RegExp(unknown));
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("rejects duplicate ids and unknown collections", async () => {
+    const duplicate = await request("PUT", "/banners/order", {
+      auth: ADMIN,
+      body: { ids: ids("A", "A") },
+    });
+    const unknown = await request("PUT", "/feedback/order", {
+      auth: ADMIN,
+      body: { ids: ids("A") },
+    });
+
+    assert.equal(duplicate.status, 422);
+    assert.equal(unknown.status, 400);
+  });
+
+  it("is only available to admins", async () => {
+    const { status } = await request("PUT", "/banners/order", {
+      auth: token({ sub: "e1", role: "expert" }),
+      body: { ids: ids("A") },
+    });
+
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,207 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query, token, objectId, ADMIN } = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+const Poster = model("AdminPoster");
+
+// Mocks the lookup and the conditional update of applyAction and returns
+// the update mock
+const bannerIn = (status) => {
+  const banner = new Banner({
+    type: "home",
+    imageurl: "https://cdn.example.com/home.png",
+    name: "Home",
+    status,
+  });
+  mock.method(Banner, "findById", () => query(banner));
+  const update = mock.method(Banner, "findOneAndUpdate", (filter, change) =>
+    query(
+      filter.status === banner.status
+        ? Object.assign(banner, change.$set, {
+            reviews: [...banner.reviews, change.$push.reviews],
+          })
+        : null
+    )
+  );
+  return { banner, update };
+};
+
+describe("publishing workflow", () => {
+  it("moves an item through review to published", async () => {
+    const { banner } = bannerIn("draft");
+
+    for (const [action, status] of [
+      ["submit", "in_review"],
+      ["approve", "approved"],
+      ["publish", "published"],
+    ]) {
+      const response = await request("POST", `/banner/${banner.id}/${action}`, {
+        auth: ADMIN,
+        body: {},
+      });
+      assert.equal(response.status, 200, action);
+      assert.equal(response.body.data.status, status);
+    }
+
+    assert.ok(banner.publishedAt);
+    assert.deepEqual(
+      banner.reviews.map(({ action, from, to, actorId }) => ({
+        action,
+        from,
+        to,
+        actorId,
+      })),
+      [
+        {
+          action: "submit",
+          from: "draft",
+          to: "in_review",
+          actorId: "admin-1",
+        },
+        {
+          action: "approve",
+          from: "in_review",
+          to: "approved",
+          actorId: "admin-1",
+        },
+        {
+          action: "publish",
+          from: "approved",
+          to: "published",
+          actorId: "admin-1",
+        },
+      ]
+    );
+  });
+
+  it("answers 409 for actions the status does not allow", async () => {
+    const { banner, update } = bannerIn("draft");
+
+    const { status, body } = await request(
+      "POST",
+      `/banner/${banner.id}/publish`,
+      { auth: ADMIN, body: {} }
+    );
+
+    assert.equal(status, 409);
+    assert.equal(body.error.message, "Cannot publish an item that is draft");
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it("answers 409 when another action changed the status first", async () => {
+    const { banner } = bannerIn("in_review");
+    mock.method(Banner, "findOneAndUpdate", () => query(null));
+
+    const { status } = await request("POST", `/banner/${banner.id}/approve`, {
+      auth: ADMIN,
+      body: {},
+    });
+
+    assert.equal(status, 409);
+  });
+
+  it("needs a comment to reject", async () => {
+    const { banner } = bannerIn("in_review");
+
+    const missing = await request("POST", `/banner/${banner.id}/reject`, {
+      auth: ADMIN,
+      body: {},
+    });
+    const given = await request("POST", `/banner/${banner.id}/reject`, {
+      auth: ADMIN,
+      body: { comment: "Wrong logo" },
+    });
+
+    assert.equal(missing.status, 422);
+    assert.equal(given.status, 200);
+    assert.equal(banner.status, "draft");
+    assert.equal(banner.reviews[0].comment, "Wrong logo");
+  });
+
+  it("answers 404 for unknown items", async () => {
+    mock.method(Banner, "findById", () => query(null));
+
+    const { status } = await request("POST", `/banner/${objectId()}/submit`, {
+      auth: ADMIN,
+      body: {},
+    });
+
+    assert.equal(status, 404);
+  });
+
+  it("is only available to admins", async () => {
+    const { status } = await request("POST", `/banner/${objectId()}/submit`, {
+      auth: token({ sub: "e1", role: "expert" }),
+      body: {},
+    });
+
+    assert.equal(status, 403);
+  });
+});
+
+describe("published visibility", () => {
+  it("only shows published items to readers", async () => {
+    const findOne = mock.method(Banner, "findOne", () => query(null));
+
+    const anonymous = await request("GET", `/banner/${objectId()}`);
+    await request("GET", `/banner/${objectId()}`, { auth: ADMIN });
+
+    assert.equal(anonymous.status, 404);
+    assert.equal(findOne.mock.calls[0].arguments[0].status, "published");
+    assert.equal(findOne.mock.calls[1].arguments[0].status, undefined);
+  });
+});
+
+describe("editing reviewed posters", () => {
+  const editPoster = (status, body) => {
+    const poster = {
+      _id: objectId(),
+      type: 1,
+      name: "Diwali",
+      image1url: "https://cdn.example.com/a.png",
+      image2url: "https://cdn.example.com/b.png",
+      status,
+      pinned: false,
+    };
+    mock.method(Poster, "findById", () => query(poster));
+    const update = mock.method(Poster, "findByIdAndUpdate", (_, change) =>
+      query({ ...poster, ...change.$set })
+    );
+    return request("PATCH", `/admin/poster/${poster._id}`, {
+      auth: ADMIN,
+      body,
+    }).then((response) => ({ response, update }));
+  };
+
+  it("sends changed published content back to review", async () => {
+    const { response, update } = await editPoster("published", {
+      name: "Holi",
+    });
+
+    assert.equal(response.body.data.status, "in_review");
+    assert.deepEqual(update.mock.calls[0].arguments[1].$push.reviews, {
+      action: "edit",
+      from: "published",
+      to: "in_review",
+      actorId: "admin-1",
+    });
+  });
+
+  it("keeps the status when only the display order changes", async () => {
+    const { update } = await editPoster("published", { pinned: true });
+
+    assert.deepEqual(update.mock.calls[0].arguments[1], {
+      $set: { pinned: true },
+    });
+  });
+
+  it("keeps drafts in draft", async () => {
+    const { update } = await editPoster("draft", { name: "Holi" });
+
+    assert.deepEqual(update.mock.calls[0].arguments[1], {
+      $set: { name: "Holi" },
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query } = require("./helpers");
+
+const request = useApp();
+const MessageTemplate = model("MessageTemplate");
+const RADashboardImage = model("RADashboardImage");
+
+const image = (type, day, fields = {}) =>
+  new RADashboardImage({
+    expertId: "e1",
+    imageurl: `https://cdn.example.com/${type}-${day}.png`,
+    type,
+    name: `${type} ${day}`,
+    createdAt: new Date(Date.UTC(2024, 0, day)),
+    ...fields,
+  });
+
+const overview = (images, templates = []) => {
+  const find = mock.method(RADashboardImage, "find", () => query(images));
+  mock.method(MessageTemplate, "find", () => query(templates));
+  return find;
+};
+
+describe("GET /ra-dashboard/:expertId/overview", () => {
+  it("groups images by type with counts and the latest image", async () => {
+    const template = new MessageTemplate({
+      raid: "e1",
+      templatename: "Welcome",
+      headingcontent: "Hi",
+    });
+    const find = overview(
+      [
+        image("premium", 2, { pinned: true }),
+        image("premium", 5),
+        image("blur", 3),
+      ],
+      [template]
+    );
+
+    const { status, body } = await request("GET", "/ra-dashboard/e1/overview");
+
+    assert.equal(status, 200);
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      expertId: "e1",
+      type: { $in: ["blur", "marketing", "premium"] },
+    });
+    const { expertId, totalImages, images, templates } = body.data;
+    assert.equal(expertId, "e1");
+    assert.equal(totalImages, 3);
+    assert.equal(images.premium.count, 2);
+    assert.equal(images.premium.latest.name, "premium 5");
+    assert.deepEqual(
+      images.premium.items.map(({ name }) => name),
+      ["premium 2", "premium 5"]
+    );
+    assert.equal(images.blur.count, 1);
+    assert.equal(templates[0].templatename, "Welcome");
+  });
+
+  it("returns empty groups for experts without content", async () => {
+    overview([]);
+
+    const { status, body } = await request(
+      "GET",
+      "/ra-dashboard/nobody/overview"
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.data.totalImages, 0);
+    assert.deepEqual(body.data.templates, []);
+    for (const type of ["blur", "marketing", "premium"]) {
+      assert.deepEqual(body.data.images[type], {
+        count: 0,
+        latest: null,
+        items: [],
+      });
+    }
+  });
+
+  it("serves the requested image variant", async () => {
+    overview([
+      image("marketing", 1, {
+        variantsStatus: "ready",
+        variants: {
+          thumbnail: { webp: "https://cdn.example.com/thumb.webp" },
+        },
+      }),
+    ]);
+
+    const { body } = await request(
+      "GET",
+      "/ra-dashboard/e1/overview?size=thumbnail&format=webp"
+    );
+
+    assert.equal(
+      body.data.images.marketing.latest.imageurl,
+      "https://cdn.example.com/thumb.webp"
+    );
+  });
+
+  it("answers 400 for unknown variant sizes", async () => {
+    overview([]);
+
+    const { status } = await request(
+      "GET",
+      "/ra-dashboard/e1/overview?size=huge"
+    );
+
+    assert.equal(status, 400);
+  });
+});
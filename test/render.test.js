@@ -0,0 +1,199 @@
+const { describe, it, mock, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns/promises");
+const sharp = require("sharp");
+const { useApp, model, query, image, objectId, ADMIN } = require("./helpers");
+
+const request = useApp();
+const Poster = model("AdminPoster");
+const MessageTemplate = model("MessageTemplate");
+
+const poster = (fields = {}) => ({
+  _id: objectId(),
+  type: 1,
+  name: "Diwali",
+  image1url: "https://images.example.com/a.png",
+  image2url: "https://images.example.com/b.png",
+  status: "published",
+  updatedAt: new Date("2024-01-01"),
+  ...fields,
+});
+
+// Every host resolves to a public address unless a test says otherwise
+let addresses;
+let source;
+
+beforeEach(async () => {
+  addresses = { "images.example.com": "93.184.216.34" };
+  source = await image();
+  mock.method(dns, "lookup", async (host) => [
+    { address: addresses[host] || "93.184.216.34", family: 4 },
+  ]);
+});
+
+const serveImages = (respond = () => new Response(source)) =>
+  mock.method(globalThis, "fetch", async (url) => respond(new URL(url)));
+
+const render = (item, search = "", auth) => {
+  mock.method(Poster, "findOne", () => query(item));
+  return request("GET", `/admin/poster/${item._id}/render${search}`, { auth });
+};
+
+describe("GET /admin/poster/:id/render", () => {
+  it("composes both images with the layout of the poster type", async () => {
+    const fetch = serveImages();
+
+    const { status, headers } = await render(poster());
+
+    assert.equal(status, 200);
+    assert.equal(headers.get("content-type"), "image/png");
+    assert.equal(headers.get("cache-control"), "public, max-age=300");
+    assert.equal(fetch.mock.callCount(), 2);
+  });
+
+  it("uses the canvas size of the layout", async () => {
+    serveImages();
+
+    const { raw } = await render(poster({ type: 2 }), "?format=jpeg");
+    const { format, width, height } = await sharp(raw).metadata();
+
+    assert.deepEqual(
+      { format, width, height },
+      {
+        format: "jpeg",
+        width: 1080,
+        height: 1350,
+      }
+    );
+  });
+
+  it("serves repeat requests from the cache", async () => {
+    const fetch = serveImages();
+    const item = poster();
+
+    const first = await render(item);
+    const second = await render(item);
+
+    assert.equal(second.status, 200);
+    assert.equal(second.headers.get("etag"), first.headers.get("etag"));
+    assert.equal(fetch.mock.callCount(), 2);
+  });
+
+  it("only renders published posters for anonymous users", async () => {
+    const findOne = mock.method(Poster, "findOne", () => query(null));
+    const id = objectId();
+
+    const { status } = await request("GET", `/admin/poster/${id}/render`);
+
+    assert.equal(status, 404);
+    assert.equal(findOne.mock.calls[0].arguments[0].status, "published");
+  });
+
+  it("keeps admin previews of drafts out of shared caches", async () => {
+    serveImages();
+
+    const { status, headers } = await render(
+      poster({ status: "draft" }),
+      "",
+      ADMIN
+    );
+
+    assert.equal(status, 200);
+    assert.equal(headers.get("cache-control"), "private, no-cache");
+  });
+
+  it("checks the template variables", async () => {
+    mock.method(MessageTemplate, "findById", () =>
+      query({ variables: ["expertName"], updatedAt: new Date() })
+    );
+
+    const { status, body } = await render(
+      poster(),
+      `?templateId=${objectId()}&variables[other]=x`
+    );
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.error.details, {
+      missing: ["expertName"],
+      unknown: ["other"],
+      invalid: [],
+    });
+  });
+});
+
+describe("fetching source images", () => {
+  it("refuses hosts that resolve to private addresses", async () => {
+    addresses["internal.example.com"] = "10.0.0.5";
+    const fetch = serveImages();
+
+    const { status, body } = await render(
+      poster({ image1url: "http://internal.example.com/a.png" })
+    );
+
+    assert.equal(status, 502);
+    assert.match(body.error.message, /not a public address/);
+    assert.ok(
+      fetch.mock.calls.every(
+        ({ arguments: [url] }) => !String(url).includes("internal")
+      )
+    );
+  });
+
+  it("refuses loopback and link-local literals", async () => {
+    serveImages();
+
+    for (const url of [
+      "http://127.0.0.1/a.png",
+      "http://[::1]/a.png",
+      "http://169.254.169.254/latest/meta-data",
+    ]) {
+      mock.method(dns, "lookup", async (host) => [
+        { address: host, family: host.includes(":") ? 6 : 4 },
+      ]);
+      const { status } = await render(poster({ image1url: url }));
+      assert.equal(status, 502, url);
+    }
+  });
+
+  it("checks every redirect", async () => {
+    addresses["metadata.example.com"] = "169.254.169.254";
+    serveImages((url) =>
+      url.hostname === "images.example.com" && url.pathname === "/a.png"
+        ? new Response(null, {
+            status: 302,
+            headers: { Location: "http://metadata.example.com/" },
+          })
+        : new Response(source)
+    );
+
+    const { status, body } = await render(poster());
+
+    assert.equal(status, 502);
+    assert.match(body.error.message, /metadata.example.com is not a public/);
+  });
+
+  it("refuses other protocols", async () => {
+    serveImages();
+
+    const { status, body } = await render(
+      poster({ image1url: "file:///etc/passwd" })
+    );
+
+    assert.equal(status, 502);
+    assert.match(body.error.message, /unsupported protocol/);
+  });
+
+  it("refuses images over the size limit", async () => {
+    serveImages(
+      () =>
+        new Response(source, {
+          headers: { "Content-Length": String(100 * 1024 * 1024) },
+        })
+    );
+
+    const { status, body } = await render(poster());
+
+    assert.equal(status, 502);
+    assert.match(body.error.message, /larger than/);
+  });
+});
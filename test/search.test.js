@@ -0,0 +1,137 @@
+const { describe, it, mock, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query, objectId, ADMIN } = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+const MessageTemplate = model("MessageTemplate");
+const Poster = model("AdminPoster");
+const RADashboardImage = model("RADashboardImage");
+
+let finds;
+
+// Every collection finds nothing unless a test gives it results
+beforeEach(() => {
+  finds = Object.fromEntries(
+    [
+      ["images", RADashboardImage],
+      ["posters", Poster],
+      ["banners", Banner],
+      ["templates", MessageTemplate],
+    ].map(([collection, Model]) => [
+      collection,
+      mock.method(Model, "find", () => query([])),
+    ])
+  );
+});
+
+const results = (find, docs) =>
+  find.mock.mockImplementation(() =>
+    query(docs.map((doc) => ({ _id: objectId(), ...doc })))
+  );
+
+describe("GET /search", () => {
+  it("merges the matches of every collection by relevance", async () => {
+    results(finds.images, [{ name: "Diwali teaser", score: 1.1 }]);
+    results(finds.banners, [{ name: "Diwali sale", score: 2.5 }]);
+    results(finds.templates, [
+      {
+        templatename: "Greetings",
+        headingcontent: "<p>Happy Diwali to all traders</p>",
+        score: 0.75,
+      },
+    ]);
+
+    const { status, body } = await request("GET", "/search?q=diwali");
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.map(({ collection, score }) => [collection, score]),
+      [
+        ["banners", 2.5],
+        ["images", 1.1],
+        ["templates", 0.75],
+      ]
+    );
+    assert.deepEqual(body.data[0].highlights, {
+      name: "<mark>Diwali</mark> sale",
+    });
+    assert.deepEqual(body.data[2].highlights, {
+      headingcontent: "Happy <mark>Diwali</mark> to all traders",
+    });
+    assert.equal(body.data[0].item.name, "Diwali sale");
+  });
+
+  it("runs a text search sorted by score", async () => {
+    const found = query([]);
+    finds.images.mock.mockImplementation(() => found);
+
+    await request("GET", '/search?q="stock tips" -crypto&limit=5');
+
+    const [filter, projection] = finds.images.mock.calls[0].arguments;
+    assert.deepEqual(filter, { $text: { $search: '"stock tips" -crypto' } });
+    assert.deepEqual(projection, { score: { $meta: "textScore" } });
+    assert.deepEqual(found.calls.sort, [{ score: { $meta: "textScore" } }]);
+    assert.deepEqual(found.calls.limit, [5]);
+  });
+
+  it("highlights word forms and leaves out negated terms", async () => {
+    results(finds.posters, [{ name: "Trading ideas, not crypto", score: 1 }]);
+
+    const { body } = await request(
+      "GET",
+      "/search?q=trades -crypto&collections=posters",
+      { auth: ADMIN }
+    );
+
+    assert.deepEqual(body.data[0].highlights, {
+      name: "<mark>Trading</mark> ideas, not crypto",
+    });
+  });
+
+  it("only finds published posters and banners without an admin token", async () => {
+    await request("GET", "/search?q=sale");
+    await request("GET", "/search?q=sale", { auth: ADMIN });
+
+    const statusOf = (find, call) => find.mock.calls[call].arguments[0].status;
+    assert.equal(statusOf(finds.banners, 0), "published");
+    assert.equal(statusOf(finds.posters, 0), "published");
+    assert.equal(statusOf(finds.images, 0), undefined);
+    assert.equal(statusOf(finds.banners, 1), undefined);
+  });
+
+  it("skips collections without the requested types", async () => {
+    await request("GET", "/search?q=sale&type=home,3");
+
+    assert.equal(finds.images.mock.callCount(), 0);
+    assert.equal(finds.templates.mock.callCount(), 0);
+    assert.deepEqual(finds.banners.mock.calls[0].arguments[0].type, {
+      $in: ["home"],
+    });
+    assert.deepEqual(finds.posters.mock.calls[0].arguments[0].type, {
+      $in: [3],
+    });
+  });
+
+  it("answers 503 while a text index is missing", async () => {
+    finds.banners.mock.mockImplementation(() =>
+      query(Object.assign(new Error("text index required"), { code: 27 }))
+    );
+
+    const { status, body } = await request("GET", "/search?q=sale");
+
+    assert.equal(status, 503);
+    assert.equal(
+      body.error.message,
+      "Search on banners is unavailable until its text index is built"
+    );
+  });
+
+  it("rejects a missing query and unknown collections", async () => {
+    const missing = await request("GET", "/search");
+    const unknown = await request("GET", "/search?q=sale&collections=users");
+
+    assert.equal(missing.status, 400);
+    assert.equal(unknown.status, 400);
+  });
+});
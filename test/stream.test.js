@@ -0,0 +1,169 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  useApp,
+  model,
+  token,
+  objectId,
+  storeDocument,
+  ADMIN,
+} = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+const RADashboardImage = model("RADashboardImage");
+
+let streams = [];
+
+afterEach(() => {
+  streams.forEach((controller) => controller.abort());
+  streams = [];
+});
+
+// Opens GET /stream and resolves once the server listens for changes.
+// next() resolves with the following event as { event, data }.
+const openStream = async (url = "/stream", options = {}) => {
+  const controller = new AbortController();
+  streams.push(controller);
+  const { status, headers, body } = await request("GET", url, {
+    ...options,
+    stream: true,
+    signal: controller.signal,
+  });
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+
+  const nextBlock = async () => {
+    while (!buffer.includes("\n\n")) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error("The stream ended");
+      buffer += value;
+    }
+    const end = buffer.indexOf("\n\n");
+    const block = buffer.slice(0, end);
+    buffer = buffer.slice(end + 2);
+    return block;
+  };
+
+  const retry = await nextBlock();
+  return {
+    status,
+    headers,
+    retry,
+    next: async () => {
+      const fields = Object.fromEntries(
+        (await nextBlock())
+          .split("\n")
+          .map((line) => [
+            line.slice(0, line.indexOf(": ")),
+            line.slice(line.indexOf(": ") + 2),
+          ])
+      );
+      return { event: fields.event, data: JSON.parse(fields.data) };
+    },
+  };
+};
+
+const deleteBanner = (fields = {}, options = {}) => {
+  const id = objectId();
+  storeDocument(Banner, {
+    _id: id,
+    type: "home",
+    name: "Sale",
+    status: "published",
+    deletedAt: null,
+    ...fields,
+  });
+  return request("DELETE", `/banner/${id}`, { auth: ADMIN, ...options }).then(
+    () => id
+  );
+};
+
+const renameImage = (expertId, name) => {
+  const id = objectId();
+  storeDocument(RADashboardImage, {
+    _id: id,
+    expertId,
+    imageurl: "https://cdn.example.com/a.png",
+    type: "premium",
+    name: "Old name",
+    deletedAt: null,
+  });
+  return request("PATCH", `/ra-dashboard/image/${id}`, {
+    auth: ADMIN,
+    body: { name },
+  }).then(() => id);
+};
+
+describe("GET /stream", () => {
+  it("opens an event stream", async () => {
+    const { status, headers, retry } = await openStream();
+
+    assert.equal(status, 200);
+    assert.match(headers.get("content-type"), /^text\/event-stream/);
+    assert.equal(headers.get("cache-control"), "no-cache");
+    assert.equal(retry, "retry: 5000");
+  });
+
+  it("sends content changes as events", async () => {
+    const stream = await openStream();
+
+    const id = await deleteBanner();
+    const { event, data } = await stream.next();
+
+    assert.equal(event, "banner.deleted");
+    assert.equal(data.source, "banner");
+    assert.equal(data.action, "deleted");
+    assert.equal(data.data._id, id);
+    assert.equal(data.data.name, "Sale");
+  });
+
+  it("only sends unpublished content to admins", async () => {
+    const anonymous = await openStream();
+    const admin = await openStream("/stream", { auth: ADMIN });
+
+    const id = await deleteBanner({ status: "draft" });
+
+    assert.equal((await admin.next()).data.data.name, "Sale");
+    assert.deepEqual((await anonymous.next()).data.data, { _id: id });
+  });
+
+  it("filters by source and expert", async () => {
+    const stream = await openStream("/stream?source=image&expertId=e2");
+
+    await deleteBanner();
+    await renameImage("e1", "Other expert");
+    await renameImage("e2", "Mine");
+    const { event, data } = await stream.next();
+
+    assert.equal(event, "image.updated");
+    assert.equal(data.data.name, "Mine");
+  });
+
+  it("keeps tenants apart", async () => {
+    const stream = await openStream();
+
+    const acme = objectId();
+    storeDocument(Banner, {
+      _id: acme,
+      tenantId: "acme",
+      name: "Acme sale",
+      status: "published",
+      deletedAt: null,
+    });
+    const { status } = await request("DELETE", `/banner/${acme}`, {
+      auth: token({ tenant: "acme" }),
+      headers: { "X-Tenant-Id": "acme" },
+    });
+    await deleteBanner();
+
+    assert.equal(status, 200);
+    assert.equal((await stream.next()).data.data.name, "Sale");
+  });
+
+  it("rejects unknown sources", async () => {
+    const { status } = await request("GET", "/stream?source=feedback");
+
+    assert.equal(status, 400);
+  });
+});
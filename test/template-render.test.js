@@ -0,0 +1,113 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query, objectId, ADMIN } = require("./helpers");
+
+const request = useApp();
+const MessageTemplate = model("MessageTemplate");
+const TemplateRevision = model("TemplateRevision");
+
+const template = {
+  raid: "template1",
+  templatename: "Welcome",
+  headingcontent: "Hello {{ expertName }}",
+  footercontent: "See you on {{date}}",
+  variables: ["expertName", "date"],
+};
+
+const renderTemplate = (fields, variables) => {
+  mock.method(MessageTemplate, "findById", () =>
+    query({ ...template, ...fields })
+  );
+  return request("POST", `/template/${objectId()}/render`, {
+    body: { variables },
+  });
+};
+
+describe("POST /template", () => {
+  it("saves templates whose placeholders are declared", async () => {
+    mock.method(MessageTemplate.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(TemplateRevision, "findOne", () => query(null));
+    mock.method(TemplateRevision, "create", async (revision) => revision);
+
+    const { status, body } = await request("POST", "/template", {
+      auth: ADMIN,
+      body: { ...template, type: "html" },
+    });
+
+    assert.equal(status, 201);
+    assert.deepEqual(body.variables, ["expertName", "date"]);
+  });
+
+  it("rejects placeholders that are not declared", async () => {
+    const { status, body } = await request("POST", "/template", {
+      auth: ADMIN,
+      body: { ...template, variables: ["expertName"] },
+    });
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.error.details, { undeclared: ["date"] });
+  });
+
+  it("only accepts the text and html types", async () => {
+    const { status } = await request("POST", "/template", {
+      auth: ADMIN,
+      body: { ...template, type: "markdown" },
+    });
+
+    assert.equal(status, 422);
+  });
+});
+
+describe("POST /template/:id/render", () => {
+  it("fills in the placeholders", async () => {
+    const { status, body } = await renderTemplate(
+      {},
+      { expertName: "Jane", date: "Monday" }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      type: "text",
+      headingcontent: "Hello Jane",
+      footercontent: "See you on Monday",
+    });
+  });
+
+  it("escapes values in html templates", async () => {
+    const { body } = await renderTemplate(
+      { type: "html", headingcontent: "<b>Hello {{expertName}}</b>" },
+      { expertName: "<script>alert(1)</script>", date: "Monday" }
+    );
+
+    assert.equal(
+      body.headingcontent,
+      "<b>Hello &lt;script&gt;alert(1)&lt;/script&gt;</b>"
+    );
+  });
+
+  it("reports missing and unknown variables", async () => {
+    const { status, body } = await renderTemplate(
+      {},
+      { expertName: "Jane", city: "Pune" }
+    );
+
+    assert.equal(status, 422);
+    assert.deepEqual(body.error.details, {
+      missing: ["date"],
+      unknown: ["city"],
+      invalid: [],
+    });
+  });
+
+  it("answers 404 for unknown templates", async () => {
+    mock.method(MessageTemplate, "findById", () => query(null));
+
+    const { status } = await request("POST", `/template/${objectId()}/render`, {
+      body: { variables: {} },
+    });
+
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it, mock, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query, token, ADMIN } = require("./helpers");
+
+const request = useApp();
+const MessageTemplate = model("MessageTemplate");
+const TemplateRevision = model("TemplateRevision");
+
+let template;
+let revisions;
+let createRevision;
+
+const revision = (number, fields = {}) =>
+  new TemplateRevision({
+    templateId: template._id,
+    revision: number,
+    raid: "e1",
+    templatename: "Welcome",
+    headingcontent: "Hello",
+    footercontent: "Bye",
+    createdBy: "e1",
+    ...fields,
+  });
+
+beforeEach(() => {
+  template = new MessageTemplate({
+    raid: "e1",
+    templatename: "Welcome",
+    headingcontent: "Hello",
+    footercontent: "Bye",
+  });
+  revisions = [revision(1)];
+
+  mock.method(MessageTemplate, "findById", () => query(template));
+  mock.method(MessageTemplate.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(TemplateRevision, "exists", () =>
+    query(revisions.length ? { _id: revisions[0]._id } : null)
+  );
+  mock.method(TemplateRevision, "findOne", (filter) =>
+    query(
+      filter.revision === undefined
+        ? revisions[revisions.length - 1]
+        : revisions.find(({ revision }) => revision === filter.revision)
+    )
+  );
+  createRevision = mock.method(TemplateRevision, "create", async (fields) => {
+    revisions.push(revision(fields.revision, fields));
+  });
+});
+
+describe("PATCH /template/:id", () => {
+  it("only changes the fields that are sent", async () => {
+    const { status, body } = await request(
+      "PATCH",
+      `/template/${template._id}`,
+      { auth: ADMIN, body: { headingcontent: "Hi there" } }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.headingcontent, "Hi there");
+    assert.equal(body.footercontent, "Bye");
+    assert.equal(body.templatename, "Welcome");
+  });
+
+  it("keeps every version as a new revision", async () => {
+    await request("PATCH", `/template/${template._id}`, {
+      auth: token({ sub: "e1", role: "expert" }),
+      body: { headingcontent: "Hi there" },
+    });
+
+    const [fields] = createRevision.mock.calls[0].arguments;
+    assert.equal(fields.revision, 2);
+    assert.equal(fields.headingcontent, "Hi there");
+    assert.equal(fields.createdBy, "e1");
+  });
+
+  it("records the state before the first change of older templates", async () => {
+    revisions = [];
+
+    await request("PATCH", `/template/${template._id}`, {
+      auth: ADMIN,
+      body: { headingcontent: "Hi there" },
+    });
+
+    const created = createRevision.mock.calls.map(({ arguments: [r] }) => r);
+    assert.deepEqual(
+      created.map(({ revision, headingcontent, createdBy }) => ({
+        revision,
+        headingcontent,
+        createdBy,
+      })),
+      [
+        { revision: 1, headingcontent: "Hello", createdBy: "system" },
+        { revision: 2, headingcontent: "Hi there", createdBy: "admin-1" },
+      ]
+    );
+  });
+
+  it("retries when another write took the revision number", async () => {
+    let attempts = 0;
+    createRevision.mock.mockImplementation(async (fields) => {
+      attempts += 1;
+      if (attempts === 1) {
+        revisions.push(revision(fields.revision));
+        throw Object.assign(new Error("duplicate key"), { code: 11000 });
+      }
+      revisions.push(revision(fields.revision, fields));
+    });
+
+    const { status } = await request("PATCH", `/template/${template._id}`, {
+      auth: ADMIN,
+      body: { headingcontent: "Hi there" },
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      revisions.map(({ revision }) => revision),
+      [1, 2, 3]
+    );
+  });
+
+  it("rejects an empty update", async () => {
+    const { status } = await request("PATCH", `/template/${template._id}`, {
+      auth: ADMIN,
+      body: {},
+    });
+
+    assert.equal(status, 400);
+  });
+});
+
+describe("revisions", () => {
+  it("lists revisions newest first", async () => {
+    const found = query(revisions);
+    const find = mock.method(TemplateRevision, "find", () => found);
+
+    const { status, body } = await request(
+      "GET",
+      `/template/${template._id}/revisions`
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.length, 1);
+    assert.equal(
+      String(find.mock.calls[0].arguments[0].templateId),
+      String(template._id)
+    );
+    assert.deepEqual(found.calls.sort, [{ revision: -1 }]);
+  });
+
+  it("diffs two revisions", async () => {
+    revisions.push(revision(2, { headingcontent: "Hi there" }));
+    mock.method(TemplateRevision, "find", () => query(revisions));
+
+    const { status, body } = await request(
+      "GET",
+      `/template/${template._id}/revisions/diff?from=1&to=2`
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      from: 1,
+      to: 2,
+      changes: { headingcontent: { before: "Hello", after: "Hi there" } },
+    });
+  });
+
+  it("reverts to an older revision as a new revision", async () => {
+    template.headingcontent = "Changed";
+    revisions.push(revision(2, { headingcontent: "Changed" }));
+
+    const { status, body } = await request(
+      "POST",
+      `/template/${template._id}/revert/1`,
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.headingcontent, "Hello");
+    const [fields] = createRevision.mock.calls[0].arguments;
+    assert.equal(fields.revision, 3);
+    assert.equal(fields.revertedFrom, 1);
+  });
+
+  it("answers 404 for unknown revisions", async () => {
+    const { status } = await request(
+      "POST",
+      `/template/${template._id}/revert/9`,
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 404);
+  });
+});
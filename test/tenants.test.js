@@ -0,0 +1,183 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  useApp,
+  model,
+  query,
+  token,
+  objectId,
+  storeDocument,
+  ADMIN,
+} = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+const Tenant = model("Tenant");
+
+const ACME_ADMIN = token({ tenant: "acme" });
+
+describe("tenant resolution", () => {
+  it("picks the tenant from X-Tenant-Id", async () => {
+    const { status, body } = await request("GET", "/tenant", {
+      headers: { "X-Tenant-Id": "acme" },
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, {
+      tenantId: "acme",
+      name: "Acme",
+      settings: {},
+    });
+  });
+
+  it("picks the tenant from the host name", async () => {
+    const { body } = await request("GET", "/tenant", {
+      host: "localhost",
+    });
+
+    assert.equal(body.data.tenantId, "webinars");
+  });
+
+  it("serves the default tenant to other hosts", async () => {
+    const { body } = await request("GET", "/tenant");
+
+    assert.equal(body.data.tenantId, "default");
+  });
+
+  it("rejects a header that does not match the host", async () => {
+    const { status } = await request("GET", "/tenant", {
+      host: "localhost",
+      headers: { "X-Tenant-Id": "acme" },
+    });
+
+    assert.equal(status, 400);
+  });
+
+  it("answers 404 for unknown and inactive tenants", async () => {
+    for (const tenantId of ["nope", "closed"]) {
+      const { status } = await request("GET", "/tenant", {
+        headers: { "X-Tenant-Id": tenantId },
+      });
+      assert.equal(status, 404, tenantId);
+    }
+  });
+
+  it("rejects tokens of another tenant", async () => {
+    const { status, body } = await request("GET", "/audit", {
+      auth: ADMIN,
+      headers: { "X-Tenant-Id": "acme" },
+    });
+
+    assert.equal(status, 403);
+    assert.equal(body.error.message, "The token belongs to another tenant");
+  });
+});
+
+describe("tenant data", () => {
+  it("hides documents of other tenants", async () => {
+    const id = objectId();
+    storeDocument(Banner, {
+      _id: id,
+      type: "home",
+      name: "Sale",
+      status: "published",
+      deletedAt: null,
+    });
+
+    const own = await request("GET", `/banner/${id}`);
+    const other = await request("GET", `/banner/${id}`, {
+      headers: { "X-Tenant-Id": "acme" },
+    });
+
+    assert.equal(own.status, 200);
+    assert.equal(other.status, 404);
+  });
+
+  it("stores new documents for the tenant of the request", async () => {
+    mock.method(Banner, "queueVariants", () => {});
+    const insert = mock.method(
+      Banner.collection,
+      "insertOne",
+      async () => ({})
+    );
+
+    const { status, body } = await request("POST", "/banner", {
+      auth: ACME_ADMIN,
+      headers: { "X-Tenant-Id": "acme" },
+      body: {
+        type: "home",
+        imageurl: "https://cdn.example.com/home.png",
+        name: "Home",
+      },
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.data.tenantId, "acme");
+    assert.equal(insert.mock.calls[0].arguments[0].tenantId, "acme");
+  });
+
+  it("only allows the content types the tenant enabled", async () => {
+    mock.method(Banner, "queueVariants", () => {});
+    mock.method(Banner.collection, "insertOne", async () => ({}));
+
+    const { status, body } = await request("POST", "/banner", {
+      auth: token({ tenant: "webinars" }),
+      headers: { "X-Tenant-Id": "webinars" },
+      body: {
+        type: "home",
+        imageurl: "https://cdn.example.com/home.png",
+        name: "Home",
+      },
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.error.details[0].field, "type");
+  });
+});
+
+describe("tenant management", () => {
+  it("adds tenants", async () => {
+    mock.method(Tenant.collection, "insertOne", async () => ({}));
+
+    const { status, body } = await request("POST", "/tenants", {
+      auth: ADMIN,
+      body: { tenantId: "globex", name: "Globex", hosts: ["Globex.example"] },
+    });
+
+    assert.equal(status, 201);
+    assert.deepEqual(body.data.hosts, ["globex.example"]);
+    assert.equal(body.data.active, true);
+  });
+
+  it("is only possible from the default tenant", async () => {
+    const { status } = await request("GET", "/tenants", {
+      auth: ACME_ADMIN,
+      headers: { "X-Tenant-Id": "acme" },
+    });
+
+    assert.equal(status, 403);
+  });
+
+  it("keeps the default tenant active", async () => {
+    const update = mock.method(Tenant, "findOneAndUpdate", () => query(null));
+
+    const { status } = await request("PATCH", "/tenants/default", {
+      auth: ADMIN,
+      body: { active: false },
+    });
+
+    assert.equal(status, 409);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it("answers 404 for unknown tenants", async () => {
+    mock.method(Tenant, "findOneAndUpdate", () => query(null));
+
+    const { status } = await request("PATCH", "/tenants/nope", {
+      auth: ADMIN,
+      body: { name: "Nope" },
+    });
+
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, objectId, storeDocument, ADMIN } = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+const RADashboardImage = model("RADashboardImage");
+const MessageTemplate = model("MessageTemplate");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// These tests mock the driver collections, so the soft delete hooks of the
+// models run as they would against MongoDB
+const cursor = (docs) => ({ toArray: async () => docs });
+
+describe("soft delete", () => {
+  it("marks banners as deleted instead of removing them", async () => {
+    const id = objectId();
+    const stored = storeDocument(Banner, { _id: id, name: "Sale" });
+    const deleteOne = mock.method(Banner.collection, "deleteOne");
+
+    const { status, body } = await request("DELETE", `/banner/${id}`, {
+      auth: ADMIN,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(deleteOne.mock.callCount(), 0);
+    assert.ok(stored().deletedAt instanceof Date);
+    assert.equal(body.data.deletedAt, stored().deletedAt.toISOString());
+  });
+
+  it("answers 404 for items already in the trash", async () => {
+    const id = objectId();
+    storeDocument(Banner, { _id: id, deletedAt: new Date() });
+
+    const { status } = await request("DELETE", `/banner/${id}`, {
+      auth: ADMIN,
+    });
+
+    assert.equal(status, 404);
+  });
+
+  it("leaves deleted items out of lists", async () => {
+    const find = mock.method(RADashboardImage.collection, "find", async () =>
+      cursor([])
+    );
+    const count = mock.method(
+      RADashboardImage.collection,
+      "countDocuments",
+      async () => 0
+    );
+
+    await request("GET", "/ra-dashboard/images?type=premium");
+
+    assert.equal(find.mock.calls[0].arguments[0].deletedAt, null);
+    assert.equal(count.mock.calls[0].arguments[0].deletedAt, null);
+  });
+});
+
+describe("GET /trash", () => {
+  it("lists deleted items across collections, latest first", async () => {
+    const deletedAt = (days) => new Date(Date.now() - days * DAY_MS);
+    const templates = mock.method(
+      MessageTemplate.collection,
+      "find",
+      async () =>
+        cursor([
+          { _id: objectId(), templatename: "Old", deletedAt: deletedAt(2) },
+        ])
+    );
+    mock.method(Banner.collection, "find", async () =>
+      cursor([{ _id: objectId(), name: "Sale", deletedAt: deletedAt(1) }])
+    );
+
+    const { status, body } = await request(
+      "GET",
+      "/trash?collection=templates,banners",
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(templates.mock.calls[0].arguments[0].deletedAt, {
+      $ne: null,
+    });
+    assert.deepEqual(
+      body.data.map(({ collection }) => collection),
+      ["banners", "templates"]
+    );
+    const [banner] = body.data;
+    assert.equal(
+      new Date(banner.purgeAt) - new Date(banner.deletedAt),
+      30 * DAY_MS
+    );
+  });
+
+  it("rejects unknown collections", async () => {
+    const { status } = await request("GET", "/trash?collection=feedback", {
+      auth: ADMIN,
+    });
+
+    assert.equal(status, 400);
+  });
+});
+
+describe("POST .../:id/restore", () => {
+  it("restores a deleted item", async () => {
+    const id = objectId();
+    const stored = storeDocument(RADashboardImage, {
+      _id: id,
+      deletedAt: new Date(),
+    });
+
+    const { status, body } = await request(
+      "POST",
+      `/ra-dashboard/image/${id}/restore`,
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.data.deletedAt, null);
+    assert.equal(stored().deletedAt, null);
+  });
+
+  it("answers 404 for items that are not in the trash", async () => {
+    const id = objectId();
+    storeDocument(MessageTemplate, { _id: id, deletedAt: null });
+
+    const { status } = await request("POST", `/template/${id}/restore`, {
+      auth: ADMIN,
+    });
+
+    assert.equal(status, 404);
+  });
+});
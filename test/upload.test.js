@@ -0,0 +1,183 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const path = require("path");
+const {
+  useApp,
+  model,
+  image,
+  objectId,
+  query,
+  ADMIN,
+  UPLOAD_DIR,
+} = require("./helpers");
+
+const request = useApp();
+const RADashboardImage = model("RADashboardImage");
+const Poster = model("AdminPoster");
+
+const PUBLIC_URL = "http://localhost:3069/uploads";
+
+const storedPath = (url) =>
+  path.join(UPLOAD_DIR, url.slice(PUBLIC_URL.length + 1));
+
+const exists = (file) =>
+  fs.access(file).then(
+    () => true,
+    () => false
+  );
+
+const storedFiles = (folder) =>
+  fs.readdir(path.join(UPLOAD_DIR, folder)).catch(() => []);
+
+const imageForm = async (file, fields = {}) => {
+  const form = new FormData();
+  Object.entries({ expertId: "e1", type: "premium", name: "Call", ...fields })
+    .filter(([, value]) => value !== undefined)
+    .forEach(([name, value]) => form.append(name, value));
+  if (file)
+    form.append(
+      "imageurl",
+      new Blob([file], { type: "image/png" }),
+      "image.png"
+    );
+  return form;
+};
+
+const saveDocuments = (Model) =>
+  mock.method(Model.prototype, "save", async function () {
+    return this;
+  });
+
+describe("image uploads", () => {
+  it("stores an uploaded file and fills in its URL", async () => {
+    saveDocuments(RADashboardImage);
+
+    const { status, body } = await request("POST", "/ra-dashboard/image", {
+      auth: ADMIN,
+      form: await imageForm(await image()),
+    });
+
+    assert.equal(status, 201);
+    assert.match(
+      body.data.imageurl,
+      /^http:\/\/localhost:3069\/uploads\/ra-dashboard\/[\w-]+\.png$/
+    );
+    assert.ok(await exists(storedPath(body.data.imageurl)));
+  });
+
+  it("stores both poster images", async () => {
+    saveDocuments(Poster);
+    const form = new FormData();
+    form.append("type", "1");
+    form.append("name", "Diwali");
+    form.append(
+      "image1url",
+      new Blob([await image()], { type: "image/png" }),
+      "a.png"
+    );
+    form.append(
+      "image2url",
+      new Blob([await image({ format: "jpeg" })], { type: "image/jpeg" }),
+      "b.jpg"
+    );
+
+    const { status, body } = await request("POST", "/admin/poster", {
+      auth: ADMIN,
+      form,
+    });
+
+    assert.equal(status, 201);
+    assert.match(body.data.image1url, /\/uploads\/posters\/[\w-]+\.png$/);
+    assert.match(body.data.image2url, /\/uploads\/posters\/[\w-]+\.jpg$/);
+  });
+
+  it("rejects files that are not images", async () => {
+    const form = await imageForm();
+    form.append(
+      "imageurl",
+      new Blob(["not an image"], { type: "image/png" }),
+      "image.png"
+    );
+
+    const { status, body } = await request("POST", "/ra-dashboard/image", {
+      auth: ADMIN,
+      form,
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error.code, "BAD_REQUEST");
+  });
+
+  it("rejects images below the minimum size", async () => {
+    const { status, body } = await request("POST", "/ra-dashboard/image", {
+      auth: ADMIN,
+      form: await imageForm(await image({ width: 10, height: 10 })),
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error.message, /between 50 and 4096 pixels/);
+  });
+
+  it("removes the stored file when the request fails", async () => {
+    const before = await storedFiles("ra-dashboard");
+    mock.method(RADashboardImage.prototype, "save", async () => {
+      throw new Error("write failed");
+    });
+
+    const { status } = await request("POST", "/ra-dashboard/image", {
+      auth: ADMIN,
+      form: await imageForm(await image()),
+    });
+
+    assert.equal(status, 500);
+    // The cleanup runs when the response finishes
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(await storedFiles("ra-dashboard"), before);
+  });
+
+  it("rejects URLs into our storage that were not uploaded", async () => {
+    const { status } = await request("POST", "/ra-dashboard/image", {
+      auth: ADMIN,
+      body: {
+        expertId: "e1",
+        type: "premium",
+        name: "Call",
+        imageurl: `${PUBLIC_URL}/ra-dashboard/someone-elses.png`,
+      },
+    });
+
+    assert.equal(status, 400);
+  });
+
+  it("removes the replaced file after an update", async () => {
+    saveDocuments(RADashboardImage);
+    const created = await request("POST", "/ra-dashboard/image", {
+      auth: ADMIN,
+      form: await imageForm(await image()),
+    });
+    const old = created.body.data;
+    mock.method(RADashboardImage, "findById", () => query(old));
+    mock.method(RADashboardImage, "findByIdAndUpdate", (id, update) =>
+      query({ ...old, ...update.$set })
+    );
+
+    const { status, body } = await request(
+      "PATCH",
+      `/ra-dashboard/image/${objectId()}`,
+      {
+        auth: ADMIN,
+        form: await imageForm(await image(), {
+          expertId: undefined,
+          type: undefined,
+          name: undefined,
+        }),
+      }
+    );
+
+    assert.equal(status, 200);
+    assert.notEqual(body.data.imageurl, old.imageurl);
+    assert.equal(await exists(storedPath(old.imageurl)), false);
+    assert.ok(await exists(storedPath(body.data.imageurl)));
+  });
+});
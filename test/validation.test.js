@@ -0,0 +1,129 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { useApp, model, query, objectId, ADMIN } = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+const Poster = model("AdminPoster");
+
+const banner = {
+  type: "home",
+  imageurl: "https://cdn.example.com/home.png",
+  name: "Home",
+};
+
+describe("request validation", () => {
+  it("lists every invalid body field", async () => {
+    const { status, body } = await request("POST", "/banner", {
+      auth: ADMIN,
+      body: { type: "sidebar", name: 5, color: "red" },
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.error.code, "VALIDATION_FAILED");
+    assert.deepEqual(
+      body.error.details.map(({ field, message }) => ({ field, message })),
+      [
+        {
+          field: "imageurl",
+          message: "must have required property 'imageurl'",
+        },
+        { field: "color", message: "is not allowed" },
+        { field: "type", message: "must be one of: home, webinar, premium" },
+        { field: "name", message: "must be string" },
+      ]
+    );
+    assert.ok(body.error.details.every((detail) => detail.in === "body"));
+  });
+
+  it("answers 400 for ids that are not ObjectIds", async () => {
+    const { status, body } = await request("GET", "/banner/12345");
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details[0].in, "path");
+    assert.deepEqual(body.error.details[0].field, "id");
+  });
+
+  it("answers 400 for invalid query parameters", async () => {
+    const { status, body } = await request("GET", "/banner?limit=many");
+
+    assert.equal(status, 400);
+    assert.equal(body.error.details[0].in, "query");
+  });
+
+  it("coerces form fields to their documented types", async () => {
+    const save = mock.method(Banner.prototype, "save", async function () {
+      return this;
+    });
+    const form = new FormData();
+    Object.entries({ ...banner, priority: "3" }).forEach(([name, value]) =>
+      form.append(name, value)
+    );
+
+    const { status, body } = await request("POST", "/banner", {
+      auth: ADMIN,
+      form,
+    });
+
+    assert.equal(status, 201);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(body.data.priority, 3);
+  });
+});
+
+describe("PATCH schemas", () => {
+  const patchPoster = (body) => {
+    const id = objectId();
+    const poster = {
+      _id: id,
+      type: 1,
+      name: "Diwali",
+      image1url: "https://cdn.example.com/a.png",
+      image2url: "https://cdn.example.com/b.png",
+      status: "draft",
+    };
+    mock.method(Poster, "findById", () => query(poster));
+    const update = mock.method(Poster, "findByIdAndUpdate", (_, change) =>
+      query({ ...poster, ...change.$set })
+    );
+    return {
+      update,
+      response: request("PATCH", `/admin/poster/${id}`, { auth: ADMIN, body }),
+    };
+  };
+
+  it("accepts every writable field", async () => {
+    const { update, response } = patchPoster({
+      name: "Holi",
+      type: 2,
+      pinned: true,
+      position: 4,
+    });
+
+    assert.equal((await response).status, 200);
+    assert.deepEqual(update.mock.calls[0].arguments[1].$set, {
+      name: "Holi",
+      type: 2,
+      pinned: true,
+      position: 4,
+    });
+  });
+
+  it("rejects fields managed by the server", async () => {
+    for (const body of [
+      { status: "published" },
+      { _id: objectId() },
+      { createdAt: "2024-01-01T00:00:00Z" },
+    ]) {
+      const { update, response } = patchPoster(body);
+      assert.equal((await response).status, 422, Object.keys(body)[0]);
+      assert.equal(update.mock.callCount(), 0);
+    }
+  });
+
+  it("rejects an empty update", async () => {
+    const { response } = patchPoster({});
+
+    assert.equal((await response).status, 422);
+  });
+});
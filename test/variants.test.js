@@ -0,0 +1,156 @@
+const { describe, it, mock, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns/promises");
+const fs = require("fs/promises");
+const path = require("path");
+const sharp = require("sharp");
+const {
+  useApp,
+  model,
+  query,
+  token,
+  image,
+  objectId,
+  storeDocument,
+  ADMIN,
+  UPLOAD_DIR,
+} = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+const RADashboardImage = model("RADashboardImage");
+
+let source;
+
+beforeEach(async () => {
+  source = await image({ width: 1200, height: 600 });
+  mock.method(dns, "lookup", async () => [
+    { address: "93.184.216.34", family: 4 },
+  ]);
+});
+
+// Resolves with the update the generation ends with
+const generated = () =>
+  new Promise((resolve) =>
+    mock.method(RADashboardImage, "updateOne", (filter, update) => {
+      resolve({ filter, update });
+      return query({ matchedCount: 1 });
+    })
+  );
+
+const storeImage = (fields = {}) => {
+  const id = objectId();
+  const stored = storeDocument(RADashboardImage, {
+    _id: id,
+    expertId: "e1",
+    imageurl: "https://images.example.com/a.png",
+    type: "premium",
+    name: "Premium",
+    deletedAt: null,
+    ...fields,
+  });
+  return { id, stored };
+};
+
+const storedFile = (url) =>
+  path.join(UPLOAD_DIR, new URL(url).pathname.replace(/^\/uploads\//, ""));
+
+describe("image variants", () => {
+  it("generates every size and format when the image changes", async () => {
+    mock.method(globalThis, "fetch", async () => new Response(source));
+    const done = generated();
+    const { id, stored } = storeImage({ variantsStatus: "ready" });
+
+    const { status } = await request("PATCH", `/ra-dashboard/image/${id}`, {
+      auth: ADMIN,
+      body: { imageurl: "https://images.example.com/b.png" },
+    });
+    assert.equal(status, 200);
+    assert.equal(stored().variantsStatus, "pending");
+
+    const { filter, update } = await done;
+    assert.equal(filter.imageurl, "https://images.example.com/b.png");
+    assert.equal(update.$set.variantsStatus, "ready");
+    const { variants } = update.$set;
+    assert.deepEqual(Object.keys(variants), ["thumbnail", "medium", "full"]);
+    assert.deepEqual(Object.keys(variants.thumbnail), ["jpeg", "webp", "avif"]);
+
+    const thumbnail = await sharp(
+      await fs.readFile(storedFile(variants.thumbnail.webp))
+    ).metadata();
+    assert.deepEqual([thumbnail.format, thumbnail.width], ["webp", 200]);
+    const full = await sharp(
+      await fs.readFile(storedFile(variants.full.jpeg))
+    ).metadata();
+    assert.deepEqual([full.format, full.width], ["jpeg", 1200]);
+  });
+
+  it("leaves the variants alone when other fields change", async () => {
+    const fetch = mock.method(globalThis, "fetch", async () => {});
+    const { id, stored } = storeImage({ variantsStatus: "ready" });
+
+    await request("PATCH", `/ra-dashboard/image/${id}`, {
+      auth: ADMIN,
+      body: { name: "Renamed" },
+    });
+
+    assert.equal(stored().variantsStatus, "ready");
+    assert.equal(fetch.mock.callCount(), 0);
+  });
+
+  it("marks the image as failed when the source is unreachable", async () => {
+    mock.method(console, "error", () => {});
+    mock.method(
+      globalThis,
+      "fetch",
+      async () => new Response("gone", { status: 404 })
+    );
+    const done = generated();
+    const { id } = storeImage({ variantsStatus: "failed" });
+
+    const { status, body } = await request(
+      "POST",
+      `/ra-dashboard/image/${id}/variants`,
+      { auth: ADMIN }
+    );
+    assert.equal(status, 202);
+    assert.equal(body.data.variantsStatus, "pending");
+
+    const { update } = await done;
+    assert.equal(update.$set.variantsStatus, "failed");
+    assert.match(update.$set.variantsError, /404/);
+  });
+
+  it("serves a variant with ?size and ?format", async () => {
+    const id = objectId();
+    storeDocument(Banner, {
+      _id: id,
+      type: "home",
+      imageurl: "https://images.example.com/home.png",
+      name: "Home",
+      status: "published",
+      deletedAt: null,
+      variantsStatus: "ready",
+      variants: { medium: { avif: "https://cdn.example.com/medium.avif" } },
+    });
+
+    const variant = await request(
+      "GET",
+      `/banner/${id}?size=medium&format=avif`
+    );
+    const missing = await request("GET", `/banner/${id}?size=thumbnail`);
+
+    assert.equal(variant.body.imageurl, "https://cdn.example.com/medium.avif");
+    assert.equal(missing.body.imageurl, "https://images.example.com/home.png");
+  });
+
+  it("only lets admins queue variants", async () => {
+    const { status } = await request(
+      "POST",
+      `/ra-dashboard/image/${objectId()}/variants`,
+      { auth: token({ sub: "e1", role: "expert" }) }
+    );
+
+    assert.equal(status, 403);
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  useApp,
+  model,
+  query,
+  token,
+  objectId,
+  storeDocument,
+  ADMIN,
+} = require("./helpers");
+
+const request = useApp();
+const Banner = model("Banner");
+const WebhookDelivery = model("WebhookDelivery");
+const WebhookSubscription = model("WebhookSubscription");
+
+const subscription = new WebhookSubscription({
+  url: "https://hooks.example.com/content",
+  events: ["banner.deleted"],
+  secret: "s3cret",
+});
+
+// Deletes a banner with one matching subscription and resolves with the
+// request the receiver got and the update of the delivery once it was sent
+const deliverBannerDelete = (receiverStatus) => {
+  const id = objectId();
+  storeDocument(Banner, { _id: id, name: "Sale", deletedAt: null });
+  mock.method(WebhookSubscription, "find", () => query([subscription]));
+  mock.method(WebhookSubscription, "findById", () => query(subscription));
+
+  let delivery;
+  const create = mock.method(WebhookDelivery, "create", async ([fields]) => {
+    delivery = new WebhookDelivery(fields);
+  });
+  mock.method(WebhookDelivery, "findOneAndUpdate", () => {
+    const due = delivery;
+    delivery = null;
+    return query(due);
+  });
+
+  let received;
+  mock.method(globalThis, "fetch", async (url, options) => {
+    received = { url, ...options };
+    return new Response(null, { status: receiverStatus });
+  });
+
+  const updated = new Promise((resolve) =>
+    mock.method(WebhookDelivery, "updateOne", (filter, update) => {
+      resolve(update);
+      return query({ modifiedCount: 1 });
+    })
+  );
+
+  return request("DELETE", `/banner/${id}`, { auth: ADMIN }).then(
+    async (response) => ({
+      response,
+      create,
+      update: await updated,
+      received,
+    })
+  );
+};
+
+describe("webhook deliveries", () => {
+  it("sends signed events for matching subscriptions", async () => {
+    const { response, create, update, received } = await deliverBannerDelete(
+      204
+    );
+
+    assert.equal(response.status, 200);
+    const [[fields]] = create.mock.calls[0].arguments;
+    assert.equal(fields.event, "banner.deleted");
+    assert.deepEqual(fields.payload.actor, { id: "admin-1", role: "admin" });
+
+    assert.equal(received.url, subscription.url);
+    const headers = received.headers;
+    assert.equal(headers["X-Webhook-Event"], "banner.deleted");
+    const expected = crypto
+      .createHmac("sha256", "s3cret")
+      .update(`${headers["X-Webhook-Timestamp"]}.${received.body}`)
+      .digest("hex");
+    assert.equal(headers["X-Webhook-Signature"], `sha256=${expected}`);
+    assert.equal(JSON.parse(received.body).data.name, "Sale");
+
+    assert.equal(update.$set.status, "succeeded");
+    assert.equal(update.$push.log.responseStatus, 204);
+  });
+
+  it("retries failed deliveries later", async () => {
+    const { update } = await deliverBannerDelete(500);
+
+    assert.equal(update.$set.status, undefined);
+    assert.equal(update.$set.attempts, 1);
+    assert.ok(update.$set.nextAttemptAt > new Date());
+    assert.equal(update.$set.lastError, "Receiver answered with status 500");
+  });
+
+  it("only looks up subscriptions of the changed tenant", async () => {
+    const { response } = await deliverBannerDelete(204);
+
+    assert.equal(response.status, 200);
+    const [filter] = WebhookSubscription.find.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      events: "banner.deleted",
+      active: true,
+      tenantId: "default",
+    });
+  });
+});
+
+describe("webhook subscriptions", () => {
+  it("returns the generated secret when registering", async () => {
+    mock.method(WebhookSubscription.collection, "insertOne", async () => ({}));
+
+    const { status, body } = await request("POST", "/webhooks", {
+      auth: ADMIN,
+      body: { url: "https://hooks.example.com/a", events: ["image.created"] },
+    });
+
+    assert.equal(status, 201);
+    assert.match(body.data.secret, /^[0-9a-f]{64}$/);
+    assert.equal(body.data.active, true);
+  });
+
+  it("rejects unknown events", async () => {
+    const { status } = await request("POST", "/webhooks", {
+      auth: ADMIN,
+      body: { url: "https://hooks.example.com/a", events: ["image.eaten"] },
+    });
+
+    assert.equal(status, 422);
+  });
+
+  it("queues failed deliveries for replay", async () => {
+    mock.method(WebhookSubscription, "exists", () => query({ _id: "x" }));
+    const updateMany = mock.method(WebhookDelivery, "updateMany", () =>
+      query({ modifiedCount: 2 })
+    );
+    mock.method(WebhookDelivery, "findOneAndUpdate", () => query(null));
+    const id = objectId();
+
+    const { status, body } = await request(
+      "POST",
+      `/webhooks/${id}/deliveries/replay`,
+      { auth: ADMIN, body: {} }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, { queued: 2 });
+    assert.deepEqual(updateMany.mock.calls[0].arguments[0], {
+      subscriptionId: id,
+      status: "failed",
+    });
+  });
+
+  it("answers 404 for unknown subscriptions", async () => {
+    mock.method(WebhookSubscription, "exists", () => query(null));
+
+    const { status } = await request(
+      "GET",
+      `/webhooks/${objectId()}/deliveries`,
+      { auth: ADMIN }
+    );
+
+    assert.equal(status, 404);
+  });
+
+  it("is only available to admins", async () => {
+    const { status } = await request("GET", "/webhooks", {
+      auth: token({ sub: "e1", role: "expert" }),
+    });
+
+    assert.equal(status, 403);
+  });
+});